@@ -1,6 +1,9 @@
 /**
  * アプリケーションメインスクリプト
  * UI制御とゲームロジックの連携
+ * 
+ * 全バージョンで共有し、論点数は CONFIG.Q.length から決まる
+ * （スライダー等の要素 id は 1 始まりの論点番号を付けて HTML 側に用意する）
  */
 
 // =============================================================================
@@ -10,26 +13,54 @@
 // 【仕様1】スライダーを離した時にアプライ（ベイズ更新も実行）
 const APPLY_MODE = 'ON_RELEASE';
 
-// 【仕様2】スライド中もリアルタイムで表情変化（プレビューのみ、ベイズ更新はリリース時）
+// 【仕様2】スライド中もリアルタイムで感情の予測分布を表示（事後予測のみ、ベイズ更新はリリース時）
 // const APPLY_MODE = 'REALTIME_PREVIEW';
 
+// 「次のオファーを提案」で表示する候補数
+const SUGGEST_COUNT = 3;
+
 // グローバル変数
-let game;
+let engine;               // 推論エンジン（EngineClient、Web Worker 上で動作）
+let engineScripts;        // Worker に読み込ませる config.js と bayesian_engine.js の URL
+let gameGeneration = 0;   // ゲームをリセットするたびに増やし、古い結果を捨てる
+let offerQueue = [];      // ベイズ更新中に出されたオファーの待ち行列
+let updating = false;     // ベイズ更新中かどうか
 let thetaChart;
 let wChart;
+let noiseChart;
+let predictiveChart;
+let convergenceChart;
+let revealedParams = null;    // 正解を見た後の真のパラメータ（収束グラフに誤差を重ねる）
+let topHypotheses = [];       // 事後確率の上位の仮説（rank は確率の順位）
+let hypothesisSort = { key: 'rank', ascending: true };
+let selectedHypothesis = null;  // 表の行をクリックして選んだ仮説
+let lastSummary = null;         // 最後に表示した（条件なしの）事後分布の概要
+let posteriorCondition = null;  // グラフのクリックで選んだ条件 { dim, valueIndex }
+let autoplaying = false;      // 模擬プレイヤーが自動でオファー中かどうか
+let autoplayTimer = null;     // 次の自動オファーのタイマー
+let previewOffer = null;      // 予測待ちのオファー（スライド中は最新のものだけ残す）
+let previewing = false;       // 事後予測の計算中かどうか
 let posteriorVisible = true;  // 事後分布表示のON/OFF状態
 
+// 論点数
+const NUM_ISSUES = CONFIG.Q.length;
+
 // アイテム絵文字
-const ITEM_ICONS = ['🍎', '🍋', '🍓', '🥝'];
+const ITEM_ICONS = CONFIG.ITEM_ICONS;
 
 // w成分の色定義（tab10カラーマップ）
 const W_COLORS = [
     { line: '#1f77b4', fill: 'rgba(31, 119, 180, 0.3)' },   // w1: 青
     { line: '#ff7f0e', fill: 'rgba(255, 127, 14, 0.3)' },   // w2: オレンジ
     { line: '#2ca02c', fill: 'rgba(44, 160, 44, 0.3)' },    // w3: 緑
-    { line: '#d62728', fill: 'rgba(214, 39, 40, 0.3)' }     // w4: 赤
+    { line: '#d62728', fill: 'rgba(214, 39, 40, 0.3)' },    // w4: 赤
+    { line: '#9467bd', fill: 'rgba(148, 103, 189, 0.3)' },  // w5: 紫
+    { line: '#8c564b', fill: 'rgba(140, 86, 75, 0.3)' }     // w6: 茶
 ];
 
+// w の各成分が取りうる値（グリッド）
+const W_VALUES = range(CONFIG.W_GRID_MIN, CONFIG.W_GRID_MAX, CONFIG.W_GRID_STEP);
+
 // 感情ラベルマッピング
 const EMOTION_LABELS = {
     '-1': { label: '😠', fullLabel: '😠 ANGER', class: 'anger' },
@@ -48,19 +79,93 @@ const EMOTION_LABELS = {
 // =============================================================================
 
 document.addEventListener('DOMContentLoaded', () => {
-    initGame();
+    initEngine();
     setupEventListeners();
     initCharts();
     updateItemDisplays();
     updateWSelfDisplays();
     createWLegend();
+    showEmotionModel();
+    updateKnownParamsDisplay();
 });
 
+/**
+ * 推論エンジンの Worker を起動
+ * Worker 内では config.js と bayesian_engine.js をこのページと同じ URL から読み込む
+ */
+function initEngine() {
+    const scriptUrl = name => Array.from(document.scripts)
+        .map(script => script.src)
+        .find(src => src.endsWith(`/${name}`));
+    
+    const engineUrl = scriptUrl('bayesian_engine.js');
+    engineScripts = [scriptUrl('config.js'), engineUrl];
+    engine = new EngineClient(engineUrl.replace(/bayesian_engine\.js$/, 'engine_worker.js'), updateBusyProgress, restartEngine);
+    
+    // ?seed=... でエージェントの列と感情ノイズを再現する
+    const seed = new URLSearchParams(location.search).get('seed');
+    document.getElementById('seedInput').value = seed ?? '';
+    engine.request('init', { scripts: engineScripts, wSelf: CONFIG.W_SELF, seed })
+        .then(showSeed)
+        .catch(err => console.error('推論エンジンの初期化に失敗しました:', err));
+    
+    resetGameDisplay('まだオファーがありません...');
+}
+
+/**
+ * 推論エンジンの Worker が停止して起動し直された後、現在の設定でゲームを作り直す
+ * （実行中だった要求はすべて失敗し、それまでのゲームは失われる）
+ */
+function restartEngine() {
+    const seed = document.getElementById('seedInput').value.trim();
+    engine.request('init', { scripts: engineScripts, wSelf: CONFIG.W_SELF, seed: seed === '' ? null : seed })
+        .then(() => engine.request('setLikelihood', {
+            model: CONFIG.LIKELIHOOD_MODEL,
+            noise: CONFIG.LIKELIHOOD_NOISE,
+            inferNoise: CONFIG.INFER_NOISE
+        }))
+        .then(() => engine.request('setInferTolerance', { enabled: CONFIG.INFER_TOLERANCE }))
+        .then(() => engine.request('setKnownParams', { params: CONFIG.KNOWN_PARAMS }))
+        .then(showSeed)
+        .catch(err => console.error('推論エンジンの再起動に失敗しました:', err));
+    
+    resetGameDisplay('推論エンジンが停止したため、最初からやり直します');
+    resetSliders();
+}
+
+/** 新しいエージェントでゲームをやり直す */
 function initGame() {
-    game = new NegotiationGame();
-    document.getElementById('roundNumber').textContent = game.round;
+    startNewGame({}, 'まだオファーがありません...');
+}
+
+/**
+ * エンジンをリセットし、画面を初期状態に戻す
+ * 
+ * @param {Object} payload - reset 要求のパラメータ（W_SELF を変える場合は { wSelf }）
+ * @param {string} placeholder - 履歴欄に表示するメッセージ
+ */
+function startNewGame(payload, placeholder) {
+    engine.request('reset', payload)
+        .then(showSeed)
+        .catch(err => console.error('ゲームのリセットに失敗しました:', err));
+    resetGameDisplay(placeholder);
+}
+
+/** 画面の状態をリセット（実行中・待機中のオファーの結果は捨てる） */
+function resetGameDisplay(placeholder) {
+    gameGeneration++;
+    offerQueue = [];
+    stopAutoplay();
+    revealedParams = null;
+    updateBusyIndicator();
+    
+    document.getElementById('roundNumber').textContent = 0;
     document.getElementById('revealArea').classList.add('hidden');
     
+    // 識別可能性の分析結果は W_SELF・既知のパラメータ・エージェントごとに変わる
+    document.getElementById('identifiabilityResult').classList.add('hidden');
+    document.getElementById('sessionStatus').classList.add('hidden');
+    
     // 感情表示をリセット
     const emotionContainer = document.getElementById('emotionContainer');
     const emotionDisplay = document.getElementById('emotionDisplay');
@@ -69,8 +174,10 @@ function initGame() {
     emotionDisplay.querySelector('.emotion-icon').textContent = '😐';
     document.getElementById('emotionText').textContent = 'NEUTRAL';
     
-    // 履歴をクリア
-    document.getElementById('historyLog').innerHTML = '<p class="history-placeholder">まだオファーがありません...</p>';
+    // 履歴・推薦・予測をクリア
+    document.getElementById('historyLog').innerHTML = `<p class="history-placeholder">${placeholder}</p>`;
+    clearSuggestions();
+    clearPredictive();
     
     // アイテム表示を初期化
     updateItemDisplays();
@@ -83,7 +190,7 @@ function initGame() {
 
 function setupEventListeners() {
     // 縦スライダーイベント
-    for (let i = 1; i <= 4; i++) {
+    for (let i = 1; i <= NUM_ISSUES; i++) {
         const slider = document.getElementById(`slider${i}`);
         
         // スライド中に表示を更新
@@ -94,6 +201,11 @@ function setupEventListeners() {
             if (APPLY_MODE === 'REALTIME_PREVIEW') {
                 previewEmotion();
             }
+            
+            // 選んだ仮説の予測も現在のオファーに合わせる
+            if (selectedHypothesis) {
+                predictSelectedHypothesis();
+            }
         });
         
         // スライダーを離した時にアプライ
@@ -103,14 +215,32 @@ function setupEventListeners() {
     }
     
     // W_SELFスライダーイベント
-    for (let i = 1; i <= 4; i++) {
+    for (let i = 1; i <= NUM_ISSUES; i++) {
         const slider = document.getElementById(`wself${i}`);
         slider.addEventListener('input', () => updateWSelfDisplays());
     }
     
+    // シードの適用ボタン
+    document.getElementById('applySeedBtn').addEventListener('click', applySeed);
+    
+    // ゲームの保存と読み込み
+    setupSessionControls();
+    
     // W_SELF適用ボタン
     document.getElementById('applyWselfBtn').addEventListener('click', applyWSelf);
     
+    // 識別可能性の分析ボタン
+    document.getElementById('identifiabilityBtn').addEventListener('click', analyzeIdentifiability);
+    
+    // W_SELF の診断ボタン
+    document.getElementById('adviseWselfBtn').addEventListener('click', adviseWSelf);
+    
+    // 尤度モデル
+    setupLikelihoodControls();
+    
+    // 既知のパラメータ
+    setupKnownParams();
+    
     // New Gameボタン
     document.getElementById('newGameBtn').addEventListener('click', () => {
         initGame();
@@ -120,6 +250,23 @@ function setupEventListeners() {
     // 正解を見るボタン
     document.getElementById('revealBtn').addEventListener('click', revealAnswer);
     
+    // オファー推薦ボタン
+    document.getElementById('suggestBtn').addEventListener('click', suggestOffers);
+    
+    // 自動プレイ
+    setupAutoplayControls();
+    
+    // 条件付き表示の解除ボタン
+    document.getElementById('clearConditionBtn').addEventListener('click', () => setPosteriorCondition(null));
+    
+    // 2次元の周辺分布の組
+    setupPairSelect();
+    
+    // 上位の仮説の表（見出しのクリックで並べ替え）
+    for (const header of document.querySelectorAll('.hypothesis-table th[data-sort]')) {
+        header.addEventListener('click', () => sortHypotheses(header.dataset.sort));
+    }
+    
     // 事後分布表示切替ボタン
     document.getElementById('togglePosteriorBtn').addEventListener('click', togglePosterior);
 }
@@ -131,7 +278,7 @@ function setupEventListeners() {
 function updateItemDisplays() {
     const Q = CONFIG.Q;
     
-    for (let i = 1; i <= 4; i++) {
+    for (let i = 1; i <= NUM_ISSUES; i++) {
         const slider = document.getElementById(`slider${i}`);
         const sliderVal = parseInt(slider.value);
         // スライダーを上に動かすとselfが増える（反転）
@@ -162,7 +309,7 @@ function updateItemIcons(containerId, count, icon) {
 }
 
 function resetSliders() {
-    for (let i = 1; i <= 4; i++) {
+    for (let i = 1; i <= NUM_ISSUES; i++) {
         const slider = document.getElementById(`slider${i}`);
         // 初期状態：全部相手側（スライダー最大値）
         slider.value = slider.max;
@@ -172,12 +319,15 @@ function resetSliders() {
 
 function getCurrentOffer() {
     const Q = CONFIG.Q;
-    return [
-        Q[0] - parseInt(document.getElementById('slider1').value),
-        Q[1] - parseInt(document.getElementById('slider2').value),
-        Q[2] - parseInt(document.getElementById('slider3').value),
-        Q[3] - parseInt(document.getElementById('slider4').value)
-    ];
+    return Q.map((q, k) => q - parseInt(document.getElementById(`slider${k + 1}`).value));
+}
+
+/** スライダーをオファー x の位置に動かす */
+function setSliders(offer) {
+    offer.forEach((x, k) => {
+        document.getElementById(`slider${k + 1}`).value = CONFIG.Q[k] - x;
+    });
+    updateItemDisplays();
 }
 
 // =============================================================================
@@ -185,7 +335,7 @@ function getCurrentOffer() {
 // =============================================================================
 
 function updateWSelfDisplays() {
-    for (let i = 1; i <= 4; i++) {
+    for (let i = 1; i <= NUM_ISSUES; i++) {
         const slider = document.getElementById(`wself${i}`);
         const value = parseInt(slider.value);
         document.getElementById(`wself${i}-display`).textContent = value;
@@ -193,47 +343,482 @@ function updateWSelfDisplays() {
 }
 
 function getCurrentWSelf() {
-    return [
-        parseInt(document.getElementById('wself1').value),
-        parseInt(document.getElementById('wself2').value),
-        parseInt(document.getElementById('wself3').value),
-        parseInt(document.getElementById('wself4').value)
-    ];
+    return CONFIG.Q.map((_, k) => parseInt(document.getElementById(`wself${k + 1}`).value));
 }
 
 function applyWSelf() {
     const newWSelf = getCurrentWSelf();
-    game.updateWSelf(newWSelf);
+    CONFIG.setWSelf(newWSelf);
     
-    // UIをリセット
-    document.getElementById('roundNumber').textContent = game.round;
-    document.getElementById('revealArea').classList.add('hidden');
+    // エンジンと UI をリセット
+    startNewGame({ wSelf: newWSelf }, 'W_SELFを更新しました');
+    resetSliders();
+}
+
+// =============================================================================
+// 乱数のシード
+// =============================================================================
+
+/** 入力欄のシード（空なら無作為）で、そのシードの最初のエージェントからやり直す */
+function applySeed() {
+    const value = document.getElementById('seedInput').value.trim();
     
-    // 感情表示をリセット
-    const emotionDisplay = document.getElementById('emotionDisplay');
-    emotionDisplay.className = 'emotion-display neutral';
-    emotionDisplay.querySelector('.emotion-label').textContent = '😐';
+    engine.request('setSeed', { seed: value === '' ? null : value })
+        .then(showSeed)
+        .catch(err => console.error('シードの変更に失敗しました:', err));
+    resetGameDisplay('シードを変更しました');
+    resetSliders();
+}
+
+/**
+ * 履歴欄に現在のシードと、そのシードで何番目のエージェントかを表示
+ * 
+ * @param {{seed: number, gameIndex: number}} summary - エンジンのゲーム状態の概要
+ */
+function showSeed({ seed, gameIndex }) {
+    const info = document.getElementById('seedInfo');
+    info.textContent = `🎲 シード ${seed}（${gameIndex + 1} 番目のエージェント）`;
+    info.title = `?seed=${seed} で開くと同じ順にエージェントが現れ、同じオファーに同じ感情を返す`;
+}
+
+// =============================================================================
+// ゲームの保存と読み込み
+// =============================================================================
+
+function setupSessionControls() {
+    const fileInput = document.getElementById('sessionFile');
     
-    // 履歴をクリア
-    document.getElementById('historyLog').innerHTML = '<p class="history-placeholder">W_SELFを更新しました</p>';
+    document.getElementById('exportSessionBtn').addEventListener('click', exportSession);
+    document.getElementById('importSessionBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';  // 同じファイルを続けて選んでも change が起きるように
+        if (file) importSession(file);
+    });
+}
+
+/** 現在のゲーム（設定・シード・オファーと感情の履歴）を JSON ファイルとしてダウンロード */
+async function exportSession() {
+    const hideAgent = document.getElementById('hideAgent').checked;
+    try {
+        const session = await engine.request('exportSession', { hideAgent });
+        const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `negotiation-${session.seed}-${session.gameIndex + 1}-R${session.history.length}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        showSessionStatus(`${link.download} に保存しました${hideAgent ? '（相手は伏せています）' : ''}`);
+    } catch (err) {
+        console.error('ゲームの保存に失敗しました:', err);
+        showSessionStatus(`保存できませんでした: ${err.message}`, true);
+    }
+}
+
+/**
+ * 保存したゲームを読み込み、設定の操作欄・履歴・チャートを復元する
+ * （事後分布はエンジンが記録された感情で履歴を適用し直して作る）
+ * 
+ * @param {File} file - exportSession で保存した JSON ファイル
+ */
+async function importSession(file) {
+    let session;
+    try {
+        session = JSON.parse(await file.text());
+        // 画面とエンジンを変える前に検証する（このバージョンで読めないファイルなら何も変えない）
+        validateSession(session);
+    } catch (err) {
+        console.error('ゲームの読み込みに失敗しました:', err);
+        showSessionStatus(`${file.name} を読み込めませんでした: ${err.message}`, true);
+        return;
+    }
     
-    // チャートをリセット
-    resetCharts();
+    resetGameDisplay('ゲームを読み込んでいます...');
+    const generation = gameGeneration;
+    
+    try {
+        const summary = await engine.request('importSession', { session });
+        if (generation !== gameGeneration) return;
+        
+        // エンジンが読み込んでから、このページの設定と操作欄をエンジンに合わせる
+        applySessionConfig(session);
+        restoreSessionControls(session);
+        
+        const history = await engine.request('getHistory');
+        if (generation !== gameGeneration) return;
+        
+        for (const entry of history) {
+            addHistoryEntry(entry.round, entry.offer, entry.emotion, entry);
+        }
+        
+        const last = history[history.length - 1];
+        if (last) {
+            document.getElementById('roundNumber').textContent = last.round;
+            updateEmotionDisplay(last.emotion, false);
+            setSliders(last.offer);
+            showPosterior(summary);
+            updateConvergenceChart(history);
+        } else {
+            document.getElementById('historyLog').innerHTML = '<p class="history-placeholder">まだオファーがありません...</p>';
+            resetSliders();
+            updateNoiseChart(summary);
+        }
+        showSeed(summary);
+        showSessionStatus(`${file.name} を読み込みました（${history.length} ラウンド${session.agent ? '' : '、相手はシードから復元'}）`);
+    } catch (err) {
+        console.error('ゲームの読み込みに失敗しました:', err);
+        showSessionStatus(`${file.name} を読み込めませんでした: ${err.message}`, true);
+    }
+}
+
+/** 読み込んだゲームの W_SELF・尤度モデル・許容幅の推定・既知のパラメータを操作欄に反映 */
+function restoreSessionControls(session) {
+    session.wSelf.forEach((value, k) => {
+        document.getElementById(`wself${k + 1}`).value = value;
+    });
+    updateWSelfDisplays();
+    
+    document.getElementById('likelihoodModel').value = session.likelihood.model;
+    document.getElementById('likelihoodNoise').value = session.likelihood.noise;
+    document.getElementById('inferNoise').checked = session.likelihood.inferNoise;
+    document.getElementById('inferTolerance').checked = session.grid.inferTolerance;
+    updateLikelihoodDisplays();
+    
+    for (const checkbox of document.querySelectorAll('#knownParams input')) {
+        checkbox.checked = session.knownParams.includes(checkbox.value);
+    }
+    updateKnownParamsDisplay();
+}
+
+function showSessionStatus(message, isError = false) {
+    const status = document.getElementById('sessionStatus');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+    status.classList.remove('hidden');
+}
+
+// =============================================================================
+// 識別可能性
+// =============================================================================
+
+/** 現在の W_SELF で区別できない仮説の同値類を分析して表示 */
+async function analyzeIdentifiability() {
+    const button = document.getElementById('identifiabilityBtn');
+    const result = document.getElementById('identifiabilityResult');
+    const generation = gameGeneration;
+    button.disabled = true;
+    result.textContent = '分析中...';
+    result.classList.remove('hidden');
+    
+    try {
+        const report = await engine.request('getIdentifiability');
+        if (generation === gameGeneration) {
+            showIdentifiability(report);
+        }
+    } catch (err) {
+        console.error('識別可能性の分析に失敗しました:', err);
+        result.classList.add('hidden');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * 識別可能性の分析結果を表示
+ * 
+ * @param {Object} report - getIdentifiability の結果（エントロピーはビット）
+ */
+function showIdentifiability(report) {
+    const percent = value => `${(value * 100).toFixed(0)}%`;
+    const result = document.getElementById('identifiabilityResult');
+    
+    result.innerHTML = `
+        <p>${report.numHypotheses.toLocaleString()} 仮説 → 区別できる組 ${report.numClasses.toLocaleString()}（単独で特定できる仮説 ${percent(report.singletonFraction)}）</p>
+        <p>絞り込みの限界: ${report.priorEntropy.toFixed(1)} bit → 平均 ${report.minEntropy.toFixed(2)} bit（最大の組 ${report.largestClass.toLocaleString()} 仮説）</p>
+        <p>θ が決まる仮説 ${percent(report.thetaIdentifiableFraction)} / w が決まる仮説 ${percent(report.wIdentifiableFraction)}${
+            report.toleranceValues.length > 1 ? ` / 許容幅が決まる仮説 ${percent(report.toleranceIdentifiableFraction)}` : ''}</p>
+    `;
+    result.title = report.toleranceValues.length > 1
+        ? `全オファーでの予測感情が同じ (θ, w, 許容幅) を同じ組とみなす（許容幅の候補 ${report.toleranceValues.join(', ')}）`
+        : `全オファーでの予測感情が同じ (θ, w) を同じ組とみなす（許容幅 ${report.toleranceValues[0]}）`;
+}
+
+/** 正解と区別できない仮説の類を正解表示に加える（showTolerance なら例に許容幅も表示） */
+async function showTrueClass(generation, showTolerance) {
+    const summary = document.getElementById('trueClass');
+    const examples = document.getElementById('trueClassExamples');
+    summary.textContent = '分析中...';
+    examples.textContent = '';
+    
+    try {
+        const trueClass = await engine.request('getTrueClass');
+        if (generation !== gameGeneration) return;
+        
+        if (!trueClass) {
+            summary.textContent = '正解がグリッド上にありません';
+        } else if (trueClass.size === 1) {
+            summary.textContent = 'なし（正解だけを特定できる）';
+        } else {
+            summary.textContent = `正解を含め ${trueClass.size.toLocaleString()} 仮説（θ ∈ {${trueClass.thetaValues.join(', ')}}°、` +
+                `残るエントロピー ${trueClass.entropy.toFixed(2)} bit、現在の事後確率 ${(trueClass.probability * 100).toFixed(1)}%）`;
+            const more = trueClass.size > trueClass.examples.length ? ' …' : '';
+            examples.textContent = trueClass.examples
+                .map(({ theta, w, tolerance }) => `θ=${theta}°, w=[${w.join(', ')}]` +
+                    (showTolerance ? `, 許容幅 ${tolerance}` : ''))
+                .join(' / ') + more;
+        }
+    } catch (err) {
+        console.error('正解と区別できない仮説の分析に失敗しました:', err);
+        summary.textContent = '?';
+    }
+}
+
+// =============================================================================
+// W_SELF の診断
+// =============================================================================
+
+// 診断の警告（WSelfAdvisor.evaluate の warnings）
+const WSELF_WARNINGS = {
+    zero: 'W_SELF が全て 0 だと sin θ の項が消え、θ を推定できません',
+    theta: '半数以上のエージェントで θ が1つに絞れません',
+    slow: `半数以上のエージェントで ${CONFIG.ADVISOR_ROUNDS} ラウンド以内に収束しません`
+};
+
+/** スライダーの W_SELF（適用前でよい）の推定しやすさを模擬ゲームで見積もって表示 */
+async function adviseWSelf() {
+    const button = document.getElementById('adviseWselfBtn');
+    const advice = document.getElementById('wselfAdvice');
+    button.disabled = true;
+    advice.textContent = '模擬ゲーム中...';
+    advice.classList.remove('hidden');
+    
+    try {
+        showWSelfAdvice(await engine.request('adviseWSelf', { wSelf: getCurrentWSelf() }));
+    } catch (err) {
+        console.error('W_SELF の診断に失敗しました:', err);
+        advice.classList.add('hidden');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/** 診断した W_SELF の1行の要約 */
+function formatWSelfEvaluation(evaluation) {
+    const rounds = evaluation.meanRounds !== null ? `平均 ${evaluation.meanRounds.toFixed(1)} ラウンド` : '-';
+    return `[${evaluation.wSelf.join(', ')}] 収束 ${(evaluation.convergedFraction * 100).toFixed(0)}%（${rounds}）、` +
+        `θ が決まる ${(evaluation.thetaResolvedFraction * 100).toFixed(0)}%`;
+}
+
+/**
+ * 診断結果と提案を表示（提案をクリックすると W_SELF のスライダーに反映する。適用は別途）
+ * 
+ * @param {{current: Object, suggestions: Object[]}} result - adviseWSelf の結果
+ */
+function showWSelfAdvice({ current, suggestions }) {
+    const advice = document.getElementById('wselfAdvice');
+    advice.innerHTML = '';
+    advice.title = `ノイズのないエージェント（ALL_PATTERNS）に情報の多いオファーを出し続けたときの見積もり。` +
+        `収束は正解の事後確率が ${(CONFIG.CONVERGENCE_MASS * 100).toFixed(0)}% 以上になること`;
+    
+    const summary = document.createElement('p');
+    summary.textContent = formatWSelfEvaluation(current);
+    advice.appendChild(summary);
+    
+    for (const warning of current.warnings) {
+        const line = document.createElement('p');
+        line.className = 'advice-warning';
+        line.textContent = `⚠ ${WSELF_WARNINGS[warning]}`;
+        advice.appendChild(line);
+    }
+    
+    const better = suggestions.filter(suggestion => suggestion.expectedRounds < current.expectedRounds);
+    if (better.length > 0) {
+        const caption = document.createElement('p');
+        caption.textContent = 'より推定しやすい W_SELF:';
+        advice.appendChild(caption);
+    }
+    for (const suggestion of better) {
+        const item = document.createElement('button');
+        item.className = 'advice-suggestion';
+        item.textContent = formatWSelfEvaluation(suggestion);
+        item.addEventListener('click', () => {
+            suggestion.wSelf.forEach((value, k) => {
+                document.getElementById(`wself${k + 1}`).value = value;
+            });
+            updateWSelfDisplays();
+        });
+        advice.appendChild(item);
+    }
+}
+
+// =============================================================================
+// 既知のパラメータ
+// =============================================================================
+
+/** θ と w の各成分のチェックボックスを作る */
+function setupKnownParams() {
+    const container = document.getElementById('knownParams');
+    const dims = ['theta', ...CONFIG.Q.map((_, k) => `w${k + 1}`)];
+    
+    for (const dim of dims) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = dim;
+        checkbox.checked = CONFIG.KNOWN_PARAMS.includes(dim);
+        checkbox.addEventListener('change', applyKnownParams);
+        
+        label.append(checkbox, ` ${dimensionLabel(dim)}`);
+        container.appendChild(label);
+    }
+}
+
+/** 既知のパラメータを変更し、同じエージェントで最初からやり直す */
+function applyKnownParams() {
+    const params = Array.from(document.querySelectorAll('#knownParams input:checked'), checkbox => checkbox.value);
+    CONFIG.setKnownParams(params);
+    
+    engine.request('setKnownParams', { params })
+        .catch(err => console.error('既知のパラメータの変更に失敗しました:', err));
+    resetGameDisplay('既知のパラメータを変更しました');
     resetSliders();
+    updateKnownParamsDisplay();
+}
+
+/** 既知の次元のグラフを隠す */
+function updateKnownParamsDisplay() {
+    const known = new Set(CONFIG.KNOWN_PARAMS);
+    const wKnown = CONFIG.Q.map((_, k) => known.has(`w${k + 1}`));
+    const legendItems = document.querySelectorAll('.w-legend-item');
+    
+    document.getElementById('thetaSection').classList.toggle('hidden', known.has('theta'));
+    document.getElementById('wSection').classList.toggle('hidden', wKnown.every(Boolean));
+    wKnown.forEach((isKnown, k) => {
+        wChart.data.datasets[k].hidden = isKnown;
+        legendItems[k].classList.toggle('hidden', isKnown);
+    });
+    wChart.update();
+    
+    // 既知の次元を含む組はヒートマップの選択肢から外す
+    const select = document.getElementById('pairSelect');
+    for (const option of select.options) {
+        option.disabled = option.value.split(',').some(dim => known.has(dim));
+        option.hidden = option.disabled;
+    }
+    
+    const available = Array.from(select.options).filter(option => !option.disabled);
+    document.getElementById('pairSection').classList.toggle('hidden', available.length === 0);
+    if (available.length > 0 && select.selectedOptions[0].disabled) {
+        select.value = available[0].value;
+        refreshHeatmap();
+    }
+}
+
+// =============================================================================
+// 尤度モデルの選択
+// =============================================================================
+
+function setupLikelihoodControls() {
+    const select = document.getElementById('likelihoodModel');
+    const noiseSlider = document.getElementById('likelihoodNoise');
+    const inferNoise = document.getElementById('inferNoise');
+    const inferTolerance = document.getElementById('inferTolerance');
+    
+    // 選択肢はエンジンに登録されたモデルから作る
+    for (const [name, model] of Object.entries(LIKELIHOOD_MODELS)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = model.label;
+        select.appendChild(option);
+    }
+    select.value = CONFIG.LIKELIHOOD_MODEL;
+    noiseSlider.value = CONFIG.LIKELIHOOD_NOISE;
+    inferNoise.checked = CONFIG.INFER_NOISE;
+    inferTolerance.checked = CONFIG.INFER_TOLERANCE;
+    updateLikelihoodDisplays();
+    
+    select.addEventListener('change', applyLikelihood);
+    noiseSlider.addEventListener('input', updateLikelihoodDisplays);
+    noiseSlider.addEventListener('change', applyLikelihood);
+    inferNoise.addEventListener('change', applyLikelihood);
+    inferTolerance.addEventListener('change', applyInferTolerance);
+}
+
+function updateLikelihoodDisplays() {
+    const model = LIKELIHOOD_MODELS[document.getElementById('likelihoodModel').value];
+    const noiseSlider = document.getElementById('likelihoodNoise');
+    const inferNoise = document.getElementById('inferNoise');
+    
+    // ε を推定する場合はノイズを固定値で指定しない
+    inferNoise.disabled = !model.usesNoise;
+    noiseSlider.disabled = !model.usesNoise || inferNoise.checked;
+    // 許容幅を使わない感情モデル（scaled_floor）では推定できない
+    document.getElementById('inferTolerance').disabled = !EMOTION_MODELS[CONFIG.EMOTION_MODEL].usesTolerance;
+    document.getElementById('likelihoodNoise-display').textContent = parseFloat(noiseSlider.value).toFixed(1);
+}
+
+/** 尤度モデルを変更（これまでの観測で事後分布を計算し直す） */
+async function applyLikelihood() {
+    updateLikelihoodDisplays();
+    
+    const model = document.getElementById('likelihoodModel').value;
+    const noise = parseFloat(document.getElementById('likelihoodNoise').value);
+    const inferNoise = document.getElementById('inferNoise').checked;
+    CONFIG.setLikelihood(model, noise, inferNoise);
+    
+    const generation = gameGeneration;
+    try {
+        const summary = await engine.request('setLikelihood', { model, noise, inferNoise });
+        if (generation !== gameGeneration) return;
+        
+        if (summary.round > 0) {
+            showPosterior(summary);
+            refreshConvergence();
+        } else {
+            // ε のグリッドが変わった可能性があるので事前分布を描き直す
+            updateNoiseChart(summary);
+        }
+    } catch (err) {
+        console.error('尤度モデルの変更に失敗しました:', err);
+    }
+}
+
+/** 許容幅を推定するかを変更（これまでの観測で事後分布を計算し直す） */
+async function applyInferTolerance() {
+    const enabled = document.getElementById('inferTolerance').checked;
+    CONFIG.setInferTolerance(enabled);
+    
+    const generation = gameGeneration;
+    try {
+        const summary = await engine.request('setInferTolerance', { enabled });
+        if (generation !== gameGeneration) return;
+        
+        if (summary.round > 0) {
+            showPosterior(summary);
+            refreshConvergence();
+        }
+    } catch (err) {
+        console.error('許容幅の推定の切り替えに失敗しました:', err);
+    }
+}
+
+/** 使用中の感情モデル（バージョンの config.js で選択）を表示 */
+function showEmotionModel() {
+    const model = EMOTION_MODELS[CONFIG.EMOTION_MODEL];
+    document.getElementById('emotionModelName').textContent = `${model.label} (${CONFIG.EMOTION_MODEL})`;
 }
 
 function createWLegend() {
     const legendContainer = document.getElementById('wLegend');
     legendContainer.innerHTML = '';
     
-    const labels = ['w1', 'w2', 'w3', 'w4'];
-    
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < NUM_ISSUES; i++) {
         const item = document.createElement('div');
         item.className = 'w-legend-item';
         item.innerHTML = `
             <div class="w-legend-color" style="background-color: ${W_COLORS[i].line}"></div>
-            <span>${labels[i]}</span>
+            <span>w${i + 1} (${ITEM_ICONS[i]})</span>
         `;
         legendContainer.appendChild(item);
     }
@@ -263,15 +848,84 @@ function togglePosterior() {
 // オファー適用
 // =============================================================================
 
-function previewEmotion() {
-    const offer = getCurrentOffer();
-    const emotion = game.engine.computeTrueEmotion(offer, game.trueTheta, game.trueW);
-    updateEmotionDisplay(emotion, true);
+/** スライド中のオファーに対する感情の事後予測分布を表示（計算中は最新のオファーだけ後で処理） */
+async function previewEmotion() {
+    previewOffer = getCurrentOffer();
+    if (previewing) return;
+    
+    previewing = true;
+    while (previewOffer) {
+        const offer = previewOffer;
+        const generation = gameGeneration;
+        previewOffer = null;
+        
+        try {
+            const probs = await engine.request('predictEmotions', { offer });
+            if (generation === gameGeneration) {
+                showPredictive(probs);
+            }
+        } catch (err) {
+            console.error('事後予測に失敗しました:', err);
+            break;
+        }
+    }
+    previewing = false;
+}
+
+/** 予測分布のグラフを更新し、最も確率の高い感情をプレビュー表示 */
+function showPredictive(probs) {
+    document.getElementById('predictiveSection').classList.remove('hidden');
+    
+    predictiveChart.data.datasets[0].data = probs;
+    predictiveChart.update();
+    
+    const best = probs.indexOf(Math.max(...probs));
+    updateEmotionDisplay(EMOTION_VALUES[best], true);
+}
+
+function clearPredictive() {
+    previewOffer = null;
+    document.getElementById('predictiveSection').classList.add('hidden');
 }
 
+/** 現在のオファーを待ち行列に入れて適用（更新中なら前の更新の完了後に処理） */
 function applyOffer() {
-    const offer = getCurrentOffer();
-    const result = game.applyOffer(offer);
+    offerQueue.push(getCurrentOffer());
+    processOfferQueue();
+}
+
+/** 待ち行列のオファーを1件ずつエンジンに送る */
+async function processOfferQueue() {
+    if (updating || offerQueue.length === 0) {
+        updateBusyIndicator();
+        return;
+    }
+    
+    updating = true;
+    const offer = offerQueue.shift();
+    const generation = gameGeneration;
+    updateBusyIndicator(0);
+    
+    try {
+        const result = await engine.request('applyOffer', { offer });
+        
+        // 更新中にリセットされた場合は結果を捨てる
+        if (generation === gameGeneration) {
+            showOfferResult(offer, result);
+        }
+    } catch (err) {
+        console.error('ベイズ更新に失敗しました:', err);
+    } finally {
+        updating = false;
+        processOfferQueue();
+    }
+}
+
+/** ベイズ更新の結果を画面に反映 */
+function showOfferResult(offer, result) {
+    // 推薦と予測は古くなるので消す
+    clearSuggestions();
+    clearPredictive();
     
     // ラウンド表示更新
     document.getElementById('roundNumber').textContent = result.round;
@@ -280,14 +934,31 @@ function applyOffer() {
     updateEmotionDisplay(result.emotion, false);
     
     // 履歴更新
-    addHistoryEntry(result.round, offer, result.emotion);
+    addHistoryEntry(result.round, offer, result.emotion, result);
     
-    // チャート更新
-    updateCharts(result);
+    // チャートと統計表示の更新
+    showPosterior(result);
+    refreshConvergence();
+}
+
+/** 事後分布のチャートと推定値を更新 */
+function showPosterior(summary) {
+    lastSummary = summary;
+    showMarginals();
     
-    // 統計表示更新
-    document.getElementById('thetaEstimate').textContent = result.thetaMean.toFixed(1);
-    document.getElementById('wEstimate').textContent = result.wMean.map(v => v.toFixed(2)).join(', ');
+    document.getElementById('thetaEstimate').textContent = summary.thetaMean.toFixed(1);
+    document.getElementById('wEstimate').textContent = summary.wMean.map(v => v.toFixed(2)).join(', ');
+    document.getElementById('noiseEstimate').textContent = summary.noiseMean.toFixed(2);
+    document.getElementById('thetaHDI').textContent = summary.thetaHDI.map(v => v.toFixed(0)).join(', ');
+    document.getElementById('wHDI').textContent = formatWHDIs(summary.wHDIs);
+    updateModelComparison(summary.modelComparison);
+    updateHypotheses(summary.topHypotheses);
+    refreshHeatmap();
+}
+
+/** w の各成分の最高密度区間を "w1 [a, b] w2 [c, d] ..." の形に整形 */
+function formatWHDIs(wHDIs) {
+    return wHDIs.map((hdi, k) => `w${k + 1} [${hdi.join(', ')}]`).join(' ');
 }
 
 function updateEmotionDisplay(emotion, isPreview = false) {
@@ -311,7 +982,13 @@ function updateEmotionDisplay(emotion, isPreview = false) {
     emotionText.textContent = textLabel;
 }
 
-function addHistoryEntry(round, offer, emotion) {
+/**
+ * 履歴欄にラウンドを追加
+ * 
+ * @param {Object} [summary] - 更新後の事後分布の概要（あればエントロピーと区間をツールチップに、
+ *                             除外された仮説の内訳を開閉できる欄に表示）
+ */
+function addHistoryEntry(round, offer, emotion, summary = null) {
     const historyLog = document.getElementById('historyLog');
     
     // プレースホルダーを削除
@@ -326,11 +1003,203 @@ function addHistoryEntry(round, offer, emotion) {
     const entry = document.createElement('div');
     entry.className = `history-entry ${emotionClass}`;
     entry.innerHTML = `<strong>R${round}:</strong> [${offer.join(', ')}] → ${emotionData.label}`;
+    if (summary) {
+        entry.title = `H = ${summary.entropy.toFixed(2)} bit, θ [${summary.thetaHDI.map(v => v.toFixed(0)).join(', ')}]°, ${formatWHDIs(summary.wHDIs)}`;
+        entry.appendChild(createEliminationDetails(summary.elimination));
+    }
     
     // 先頭に追加
     historyLog.insertBefore(entry, historyLog.firstChild);
 }
 
+/** 観測で除外された仮説の内訳（各仮説が予測していた感情別） */
+function createEliminationDetails(elimination) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const details = document.createElement('details');
+    details.className = 'elimination';
+    
+    const rows = elimination.byEmotion.map(group => `
+        <tr>
+            <td>${EMOTION_LABELS[group.emotion].label}</td>
+            <td>${percent(group.mass)}（${group.count.toLocaleString()} 件）</td>
+            <td>${group.eliminatedCount > 0 ? `${group.eliminatedCount.toLocaleString()} 件` : '-'}</td>
+        </tr>
+    `).join('');
+    
+    details.innerHTML = `
+        <summary>除外: ${elimination.eliminatedCount.toLocaleString()} / ${elimination.count.toLocaleString()} 仮説（確率 ${percent(elimination.eliminatedMass)}）</summary>
+        <table class="elimination-table">
+            <thead>
+                <tr><th>予測していた感情</th><th>観測前の確率</th><th>除外</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    return details;
+}
+
+// =============================================================================
+// オファー推薦（期待情報利得）
+// =============================================================================
+
+/** 期待情報利得の大きいオファーをエンジンに問い合わせて表示 */
+async function suggestOffers() {
+    const button = document.getElementById('suggestBtn');
+    const generation = gameGeneration;
+    button.disabled = true;
+    
+    try {
+        const { entropy, offers } = await engine.request('recommendOffers', { k: SUGGEST_COUNT });
+        if (generation === gameGeneration) {
+            showSuggestions(entropy, offers);
+        }
+    } catch (err) {
+        console.error('オファーの推薦に失敗しました:', err);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * 推薦オファーの一覧と、最良のオファーのスライダー位置を表示
+ * 一覧の項目をクリックするとそのオファーを適用する
+ * 
+ * @param {number} entropy - 現在の同時事後分布のエントロピー（ビット）
+ * @param {{offer: number[], gain: number}[]} offers - 期待情報利得（ビット）の降順
+ */
+function showSuggestions(entropy, offers) {
+    clearSuggestions();
+    const list = document.getElementById('suggestList');
+    
+    offers.forEach(({ offer, gain }, i) => {
+        const item = document.createElement('button');
+        item.className = i === 0 ? 'suggest-item best' : 'suggest-item';
+        const ratio = entropy > 0 ? (gain / entropy * 100).toFixed(0) : '0';
+        item.textContent = `[${offer.join(', ')}] 不確かさ −${gain.toFixed(2)} bit（${ratio}%）`;
+        item.title = `現在のエントロピー ${entropy.toFixed(2)} bit`;
+        item.addEventListener('click', () => {
+            setSliders(offer);
+            applyOffer();
+        });
+        list.appendChild(item);
+    });
+    
+    // 最良のオファーで自分が受け取る数をスライダーの下に表示
+    if (offers.length > 0) {
+        offers[0].offer.forEach((x, k) => {
+            const container = document.getElementById(`slider${k + 1}`).closest('.v-slider-container');
+            const target = document.createElement('span');
+            target.className = 'v-slider-target';
+            target.textContent = `🎯${x}`;
+            container.classList.add('suggested');
+            container.appendChild(target);
+        });
+    }
+}
+
+function clearSuggestions() {
+    document.getElementById('suggestList').innerHTML = '';
+    document.querySelectorAll('.v-slider-container.suggested').forEach(container => {
+        container.classList.remove('suggested');
+        container.querySelector('.v-slider-target').remove();
+    });
+}
+
+// =============================================================================
+// 自動プレイ（模擬プレイヤー）
+// =============================================================================
+
+// ベイズ更新が終わるのを待つときの確認間隔（ミリ秒）
+const AUTOPLAY_POLL_MS = 100;
+
+function setupAutoplayControls() {
+    const select = document.getElementById('autoplayStrategy');
+    const interval = document.getElementById('autoplayInterval');
+    
+    // 選択肢はエンジンに登録された戦略から作る
+    for (const [name, strategy] of Object.entries(PLAYER_STRATEGIES)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = strategy.label;
+        select.appendChild(option);
+    }
+    
+    interval.addEventListener('input', () => {
+        document.getElementById('autoplayInterval-display').textContent = parseFloat(interval.value).toFixed(1);
+    });
+    document.getElementById('autoplayBtn').addEventListener('click', () => {
+        if (autoplaying) {
+            stopAutoplay();
+        } else {
+            startAutoplay();
+        }
+    });
+}
+
+function startAutoplay() {
+    autoplaying = true;
+    document.getElementById('autoplayBtn').textContent = '⏸ 停止';
+    autoplayStep();
+}
+
+function stopAutoplay() {
+    autoplaying = false;
+    clearTimeout(autoplayTimer);
+    autoplayTimer = null;
+    document.getElementById('autoplayBtn').textContent = '▶ 自動プレイ';
+}
+
+/**
+ * 選んだ戦略の次のオファーをエンジンに問い合わせ、スライダーを動かして適用する
+ * （前のオファーのベイズ更新が終わってから次を決める）
+ */
+async function autoplayStep() {
+    autoplayTimer = null;
+    if (!autoplaying) return;
+    if (updating || offerQueue.length > 0) {
+        autoplayTimer = setTimeout(autoplayStep, AUTOPLAY_POLL_MS);
+        return;
+    }
+    
+    const generation = gameGeneration;
+    try {
+        const offer = await engine.request('strategyOffer', { strategy: document.getElementById('autoplayStrategy').value });
+        if (!autoplaying || generation !== gameGeneration) return;
+        
+        setSliders(offer);
+        applyOffer();
+        const interval = parseFloat(document.getElementById('autoplayInterval').value) * 1000;
+        autoplayTimer = setTimeout(autoplayStep, interval);
+    } catch (err) {
+        console.error('自動プレイのオファーの決定に失敗しました:', err);
+        stopAutoplay();
+    }
+}
+
+// =============================================================================
+// 更新中インジケーター
+// =============================================================================
+
+/**
+ * 更新中表示と待ち行列の件数を更新
+ * 
+ * @param {number} [progress] - 進捗（0〜1）。省略時は進捗バーを変更しない
+ */
+function updateBusyIndicator(progress) {
+    const status = document.getElementById('engineStatus');
+    status.classList.toggle('hidden', !updating);
+    
+    if (progress !== undefined) {
+        updateBusyProgress(progress);
+    }
+    document.getElementById('engineQueue').textContent = offerQueue.length > 0 ? `（待ち ${offerQueue.length} 件）` : '';
+}
+
+/** エンジンからの進捗通知 */
+function updateBusyProgress(progress) {
+    document.getElementById('engineProgress').value = progress;
+}
+
 // =============================================================================
 // チャート制御
 // =============================================================================
@@ -358,6 +1227,11 @@ function initCharts() {
             plugins: {
                 legend: { display: false }
             },
+            // クリックした θ で他の分布を条件付ける
+            onClick: (event, elements, chart) => {
+                const [element] = chart.getElementsAtEventForMode(event, 'index', { intersect: false }, false);
+                if (element) togglePosteriorCondition('theta', element.index);
+            },
             scales: {
                 x: {
                     title: { display: true, text: 'θ (度)', font: { size: 10 } }
@@ -376,49 +1250,57 @@ function initCharts() {
     wChart = new Chart(wCtx, {
         type: 'line',
         data: {
-            labels: [-4, -3, -2, -1, 0, 1, 2, 3, 4],
-            datasets: [
-                {
-                    label: 'w1',
-                    data: [],
-                    borderColor: W_COLORS[0].line,
-                    backgroundColor: W_COLORS[0].fill,
-                    fill: false,
-                    tension: 0,
-                    pointRadius: 3,
-                    pointStyle: 'circle'
-                },
-                {
-                    label: 'w2',
-                    data: [],
-                    borderColor: W_COLORS[1].line,
-                    backgroundColor: W_COLORS[1].fill,
-                    fill: false,
-                    tension: 0,
-                    pointRadius: 3,
-                    pointStyle: 'circle'
-                },
-                {
-                    label: 'w3',
-                    data: [],
-                    borderColor: W_COLORS[2].line,
-                    backgroundColor: W_COLORS[2].fill,
-                    fill: false,
-                    tension: 0,
-                    pointRadius: 3,
-                    pointStyle: 'circle'
+            labels: W_VALUES,
+            datasets: W_COLORS.slice(0, NUM_ISSUES).map((color, i) => ({
+                label: `w${i + 1}`,
+                data: [],
+                borderColor: color.line,
+                backgroundColor: color.fill,
+                fill: false,
+                tension: 0,
+                pointRadius: 3,
+                pointStyle: 'circle'
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: { display: false }
+            },
+            // クリックした点の w_k の値で他の分布を条件付ける
+            onClick: (event, elements, chart) => {
+                const [element] = chart.getElementsAtEventForMode(event, 'nearest', { intersect: false }, false);
+                if (element) togglePosteriorCondition(`w${element.datasetIndex + 1}`, element.index);
+            },
+            scales: {
+                x: {
+                    title: { display: true, text: '成分値', font: { size: 10 } },
+                    min: CONFIG.W_GRID_MIN,
+                    max: CONFIG.W_GRID_MAX
                 },
-                {
-                    label: 'w4',
-                    data: [],
-                    borderColor: W_COLORS[3].line,
-                    backgroundColor: W_COLORS[3].fill,
-                    fill: false,
-                    tension: 0,
-                    pointRadius: 3,
-                    pointStyle: 'circle'
+                y: {
+                    title: { display: true, text: '確率', font: { size: 10 } },
+                    min: 0,
+                    max: 1
                 }
-            ]
+            }
+        }
+    });
+    
+    // εチャート
+    const noiseCtx = document.getElementById('noiseChart').getContext('2d');
+    noiseChart = new Chart(noiseCtx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [{
+                label: 'p(ε)',
+                data: [],
+                backgroundColor: 'rgba(118, 75, 162, 0.5)',
+                borderColor: '#764ba2',
+                borderWidth: 1
+            }]
         },
         options: {
             responsive: true,
@@ -428,9 +1310,7 @@ function initCharts() {
             },
             scales: {
                 x: {
-                    title: { display: true, text: '成分値', font: { size: 10 } },
-                    min: -4,
-                    max: 4
+                    title: { display: true, text: 'ε (感情レベル)', font: { size: 10 } }
                 },
                 y: {
                     title: { display: true, text: '確率', font: { size: 10 } },
@@ -441,11 +1321,76 @@ function initCharts() {
         }
     });
     
+    // 感情の事後予測チャート
+    const predictiveCtx = document.getElementById('predictiveChart').getContext('2d');
+    predictiveChart = new Chart(predictiveCtx, {
+        type: 'bar',
+        data: {
+            labels: EMOTION_VALUES.map(e => EMOTION_LABELS[e].label),
+            datasets: [{
+                label: 'p(感情)',
+                data: [],
+                backgroundColor: EMOTION_VALUES.map(e => e < 0 ? '#e74c3c' : (e === 0 ? '#95a5a6' : '#27ae60'))
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                legend: { display: false }
+            },
+            scales: {
+                y: { display: false, min: 0, max: 1 }
+            }
+        }
+    });
+    
+    // 収束グラフ（データセットは履歴から毎回作る）
+    const convergenceCtx = document.getElementById('convergenceChart').getContext('2d');
+    convergenceChart = new Chart(convergenceCtx, {
+        type: 'line',
+        data: { labels: [], datasets: [] },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: { display: true, labels: { boxWidth: 10, font: { size: 9 } } }
+            },
+            scales: {
+                x: {
+                    title: { display: true, text: 'ラウンド', font: { size: 10 } }
+                },
+                y: {
+                    title: { display: true, text: 'エントロピー (bit)', font: { size: 10 } },
+                    min: 0
+                },
+                yError: {
+                    position: 'right',
+                    display: false,
+                    min: 0,
+                    max: 1,
+                    title: { display: true, text: '誤差（範囲比）・確率', font: { size: 10 } },
+                    grid: { drawOnChartArea: false }
+                }
+            }
+        }
+    });
+    
+    // 信用区間の確率（CONFIG.HDI_MASS）
+    for (const label of document.querySelectorAll('.hdi-mass')) {
+        label.textContent = Math.round(CONFIG.HDI_MASS * 100);
+    }
+    
     // 初期状態を表示
     resetCharts();
 }
 
 function resetCharts() {
+    // 条件付き表示を解除
+    lastSummary = null;
+    setPosteriorCondition(null);
+    
     // θの一様分布
     const thetaLabels = [];
     const uniformTheta = [];
@@ -459,19 +1404,110 @@ function resetCharts() {
     thetaChart.update();
     
     // wの一様分布
-    const wValues = [-4, -3, -2, -1, 0, 1, 2, 3, 4];
-    const uniformProb = 1 / wValues.length;
+    const uniformProb = 1 / W_VALUES.length;
     
-    for (let i = 0; i < 4; i++) {
-        wChart.data.datasets[i].data = wValues.map(() => uniformProb);
+    for (let i = 0; i < NUM_ISSUES; i++) {
+        wChart.data.datasets[i].data = W_VALUES.map(() => uniformProb);
     }
-    wChart.data.labels = wValues;
-    wChart.options.scales.y.max = 0.2;
+    wChart.data.labels = W_VALUES;
+    wChart.options.scales.y.max = Math.max(0.2, uniformProb * 1.5);
     wChart.update();
     
+    // εの一様分布
+    const noiseGrid = getNoiseGrid();
+    updateNoiseChart({
+        noiseGrid,
+        noiseMarginal: noiseGrid.map(() => 1 / noiseGrid.length)
+    });
+    
     // 統計表示をリセット
     document.getElementById('thetaEstimate').textContent = '-';
-    document.getElementById('wEstimate').textContent = '-, -, -, -';
+    document.getElementById('wEstimate').textContent = Array(NUM_ISSUES).fill('-').join(', ');
+    document.getElementById('noiseEstimate').textContent = '-';
+    document.getElementById('thetaHDI').textContent = '-';
+    document.getElementById('wHDI').textContent = '-';
+    updateConvergenceChart([]);
+    
+    // 上位の仮説（事前分布は一様なので表示しない）
+    selectedHypothesis = null;
+    updateHypotheses([]);
+    
+    // 2次元の周辺分布（事前分布）
+    refreshHeatmap();
+    
+    // 感情モデルの比較（事前確率は一様）
+    const models = getComparedEmotionModels();
+    updateModelComparison(models.map(name => ({
+        name,
+        label: EMOTION_MODELS[name].label,
+        probability: 1 / models.length,
+        log10BayesFactor: 0
+    })));
+}
+
+/** エンジンの履歴から収束グラフを描き直す */
+async function refreshConvergence() {
+    const generation = gameGeneration;
+    try {
+        const history = await engine.request('getHistory');
+        if (generation === gameGeneration) {
+            updateConvergenceChart(history);
+        }
+    } catch (err) {
+        console.error('履歴の取得に失敗しました:', err);
+    }
+}
+
+/**
+ * 収束グラフを更新
+ * - 左軸: 同時分布と θ, w の各成分の周辺分布のエントロピー（ビット）
+ * - 右軸（正解を見た後のみ）: θ, w の事後平均の誤差（グリッドの範囲に対する比）と正解の事後確率
+ */
+function updateConvergenceChart(history) {
+    const line = (label, data, color, options = {}) => ({
+        label,
+        data,
+        borderColor: color,
+        backgroundColor: color,
+        fill: false,
+        tension: 0,
+        pointRadius: 2,
+        ...options
+    });
+    
+    const datasets = [
+        line('H(同時)', history.map(h => h.entropy), '#333'),
+        line('H(θ)', history.map(h => h.thetaEntropy), '#667eea'),
+        ...W_COLORS.slice(0, NUM_ISSUES).map((color, k) => line(`H(w${k + 1})`, history.map(h => h.wEntropies[k]), color.line))
+    ];
+    
+    if (revealedParams) {
+        const thetaRange = CONFIG.THETA_GRID_MAX - CONFIG.THETA_GRID_MIN;
+        const wRange = CONFIG.W_GRID_MAX - CONFIG.W_GRID_MIN;
+        const wError = w => w.reduce((sum, v, k) => sum + Math.abs(v - revealedParams.w[k]), 0) / NUM_ISSUES;
+        const errorStyle = { yAxisID: 'yError', borderDash: [4, 3] };
+        
+        datasets.push(
+            line('θ誤差', history.map(h => Math.abs(h.thetaEstimate - revealedParams.theta) / thetaRange), '#e67e22', errorStyle),
+            line('w誤差', history.map(h => wError(h.wEstimate) / wRange), '#16a085', errorStyle),
+            line('P(正解)', history.map(h => h.trueProbability), '#c0392b', errorStyle)
+        );
+    }
+    
+    convergenceChart.data.labels = history.map(h => `R${h.round}`);
+    convergenceChart.data.datasets = datasets;
+    convergenceChart.options.scales.yError.display = revealedParams !== null;
+    convergenceChart.update();
+}
+
+/** εチャートを更新（ε を推定しない場合は非表示） */
+function updateNoiseChart(result) {
+    document.getElementById('noiseSection').classList.toggle('hidden', result.noiseGrid.length < 2);
+    
+    noiseChart.data.labels = result.noiseGrid.map(String);
+    noiseChart.data.datasets[0].data = result.noiseMarginal;
+    noiseChart.options.scales.y.max = Math.min(1, Math.max(0.2, Math.max(...result.noiseMarginal) * 1.2));
+    noiseChart.update();
 }
 
 function updateCharts(result) {
@@ -487,7 +1523,7 @@ function updateCharts(result) {
     if (result.wComponentMarginals) {
         let maxProbW = 0;
         
-        for (let i = 0; i < 4; i++) {
+        for (let i = 0; i < NUM_ISSUES; i++) {
             const marginal = result.wComponentMarginals[i];
             
             const data = marginal.values.map((val, idx) => ({
@@ -504,16 +1540,358 @@ function updateCharts(result) {
         wChart.options.scales.y.max = Math.min(1, Math.max(0.2, maxProbW * 1.1));
         wChart.update();
     }
+    
+    // εチャート更新
+    updateNoiseChart(result);
+}
+
+/**
+ * 感情モデルの比較表を更新（比較するモデルが1つなら非表示）
+ * 先頭の行が使用中のモデルで、ベイズ因子はそれに対する値
+ */
+function updateModelComparison(comparison) {
+    document.getElementById('modelComparisonSection').classList.toggle('hidden', comparison.length < 2);
+    
+    const best = Math.max(...comparison.map(m => m.probability));
+    const tied = comparison.every(m => m.probability === best);
+    const body = document.getElementById('modelComparisonBody');
+    body.innerHTML = '';
+    
+    comparison.forEach((model, i) => {
+        const row = document.createElement('tr');
+        if (model.probability === best && !tied) row.className = 'winning';
+        
+        const bayesFactor = i === 0 ? '基準' : model.log10BayesFactor.toFixed(1);
+        row.innerHTML = `
+            <td>${model.label}</td>
+            <td>
+                ${(model.probability * 100).toFixed(1)}%
+                <div class="model-prob-bar" style="width: ${model.probability * 100}%"></div>
+            </td>
+            <td>${bayesFactor}</td>
+        `;
+        body.appendChild(row);
+    });
+}
+
+// =============================================================================
+// 条件付きの周辺分布（グラフのクリック）
+// =============================================================================
+
+/** クリックした値で条件付ける（同じ値をもう一度クリックすると解除） */
+function togglePosteriorCondition(dim, valueIndex) {
+    // 観測前は一様分布なので条件付けても変わらない
+    if (!lastSummary) return;
+    
+    const same = posteriorCondition && posteriorCondition.dim === dim && posteriorCondition.valueIndex === valueIndex;
+    setPosteriorCondition(same ? null : { dim, valueIndex });
+}
+
+function setPosteriorCondition(condition) {
+    posteriorCondition = condition;
+    if (lastSummary) {
+        showMarginals();
+    } else {
+        highlightCondition(null);
+        updateConditionBadge(null);
+    }
+}
+
+/**
+ * 周辺分布のグラフを描く（条件があればその値で条件付けた分布）
+ * 条件にした次元のグラフは、別の値を選べるように条件なしの分布のまま表示する
+ */
+async function showMarginals() {
+    const condition = posteriorCondition;
+    highlightCondition(condition);
+    
+    if (!condition) {
+        updateConditionBadge(null);
+        updateCharts(lastSummary);
+        return;
+    }
+    
+    const generation = gameGeneration;
+    try {
+        const conditional = await engine.request('getConditionalSummary', condition);
+        if (generation !== gameGeneration || condition !== posteriorCondition) return;
+        
+        updateConditionBadge(conditional.condition);
+        updateCharts({
+            ...conditional,
+            thetaMarginal: condition.dim === 'theta' ? lastSummary.thetaMarginal : conditional.thetaMarginal,
+            wComponentMarginals: conditional.wComponentMarginals.map((marginal, k) =>
+                condition.dim === `w${k + 1}` ? lastSummary.wComponentMarginals[k] : marginal)
+        });
+    } catch (err) {
+        console.error('条件付き分布の取得に失敗しました:', err);
+    }
+}
+
+/** 条件にした値の点を大きく表示 */
+function highlightCondition(condition) {
+    const isCondition = (dim, index) => condition !== null && condition.dim === dim && condition.valueIndex === index;
+    
+    thetaChart.data.datasets[0].pointRadius = context => isCondition('theta', context.dataIndex) ? 5 : 0;
+    wChart.data.datasets.forEach((dataset, k) => {
+        dataset.pointRadius = context => isCondition(`w${k + 1}`, context.dataIndex) ? 6 : 3;
+    });
+}
+
+/** 「θ = 45° で条件付け」のバッジ（condition が null なら非表示） */
+function updateConditionBadge(condition) {
+    const badge = document.getElementById('conditionBadge');
+    badge.classList.toggle('hidden', condition === null);
+    if (!condition) return;
+    
+    const value = condition.dim === 'theta' ? `θ = ${condition.value.toFixed(0)}°` : `${condition.dim} = ${condition.value}`;
+    document.getElementById('conditionText').textContent =
+        `${value} で条件付け（この値の確率 ${(condition.probability * 100).toFixed(1)}%）`;
+}
+
+// =============================================================================
+// 2次元の周辺分布（ヒートマップ）
+// =============================================================================
+
+// ヒートマップの余白（軸の目盛り用、px）
+const HEATMAP_MARGIN = { left: 30, right: 6, top: 16, bottom: 30 };
+
+/** 次元の表示名 */
+const dimensionLabel = dim => dim === 'theta' ? 'θ' : dim;
+
+/** 選択肢: θ × w_k と w_i × w_j（i < j） */
+function setupPairSelect() {
+    const select = document.getElementById('pairSelect');
+    const dims = ['theta', ...CONFIG.Q.map((_, k) => `w${k + 1}`)];
+    
+    for (let i = 0; i < dims.length; i++) {
+        for (let j = i + 1; j < dims.length; j++) {
+            const option = document.createElement('option');
+            option.value = `${dims[i]},${dims[j]}`;
+            option.textContent = `${dimensionLabel(dims[i])} × ${dimensionLabel(dims[j])}`;
+            select.appendChild(option);
+        }
+    }
+    
+    const initial = CONFIG.HEATMAP_PAIR.join(',');
+    if (Array.from(select.options).some(option => option.value === initial)) {
+        select.value = initial;
+    }
+    select.addEventListener('change', refreshHeatmap);
+}
+
+/** 選択中の組の同時周辺分布をエンジンから取得して描画 */
+async function refreshHeatmap() {
+    const [a, b] = document.getElementById('pairSelect').value.split(',');
+    const generation = gameGeneration;
+    
+    try {
+        const pair = await engine.request('getPairMarginal', { a, b });
+        if (generation === gameGeneration) {
+            drawHeatmap(pair, dimensionLabel(a), dimensionLabel(b));
+        }
+    } catch (err) {
+        console.error('2次元の周辺分布の取得に失敗しました:', err);
+    }
+}
+
+/**
+ * 同時周辺分布をヒートマップで描画（横軸 a、縦軸 b、色の濃さは最大値に対する比）
+ * 
+ * @param {{aValues: number[], bValues: number[], probs: number[][]}} pair - probs[ai][bi]
+ */
+function drawHeatmap(pair, labelA, labelB) {
+    const canvas = document.getElementById('pairHeatmap');
+    const ctx = canvas.getContext('2d');
+    const { aValues, bValues, probs } = pair;
+    const { left, right, top, bottom } = HEATMAP_MARGIN;
+    const cellWidth = (canvas.width - left - right) / aValues.length;
+    const cellHeight = (canvas.height - top - bottom) / bValues.length;
+    const maxProb = Math.max(...probs.map(row => Math.max(...row)));
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // セル（b は上ほど大きい値）
+    for (let ai = 0; ai < aValues.length; ai++) {
+        for (let bi = 0; bi < bValues.length; bi++) {
+            const alpha = maxProb > 0 ? probs[ai][bi] / maxProb : 0;
+            ctx.fillStyle = `rgba(118, 75, 162, ${alpha})`;
+            ctx.fillRect(left + ai * cellWidth, top + (bValues.length - 1 - bi) * cellHeight, cellWidth, cellHeight);
+        }
+    }
+    
+    // 目盛り（多い場合は間引く）
+    ctx.fillStyle = '#666';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const aStep = Math.ceil(aValues.length / 8);
+    aValues.forEach((value, ai) => {
+        if (ai % aStep === 0) {
+            ctx.fillText(String(value), left + (ai + 0.5) * cellWidth, canvas.height - bottom + 3);
+        }
+    });
+    
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const bStep = Math.ceil(bValues.length / 9);
+    bValues.forEach((value, bi) => {
+        if (bi % bStep === 0) {
+            ctx.fillText(String(value), left - 4, top + (bValues.length - 0.5 - bi) * cellHeight);
+        }
+    });
+    
+    // 軸名
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(labelA === 'θ' ? 'θ (度)' : labelA, left + (canvas.width - left - right) / 2, canvas.height - 2);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(labelB, 2, 2);
+}
+
+// =============================================================================
+// 上位の仮説（同時 MAP）
+// =============================================================================
+
+/** 上位の仮説の表と同時 MAP を更新（先頭が同時 MAP） */
+function updateHypotheses(hypotheses) {
+    topHypotheses = hypotheses.map((hypothesis, i) => ({ ...hypothesis, rank: i + 1 }));
+    
+    const map = hypotheses[0];
+    document.getElementById('mapEstimate').textContent = map
+        ? `θ = ${map.theta.toFixed(0)}°, w = [${map.w.join(', ')}]`
+        : '-';
+    
+    renderHypotheses();
+    if (selectedHypothesis) {
+        predictSelectedHypothesis();
+    } else {
+        document.getElementById('hypothesisPrediction').classList.add('hidden');
+    }
+}
+
+/** 見出しをクリックした列で並べ替え（同じ列なら昇順・降順を切り替え） */
+function sortHypotheses(key) {
+    if (hypothesisSort.key === key) {
+        hypothesisSort.ascending = !hypothesisSort.ascending;
+    } else {
+        hypothesisSort = { key, ascending: key !== 'probability' };
+    }
+    renderHypotheses();
+}
+
+/** 並べ替えの比較（w は第1成分から順に比べる） */
+function compareHypotheses(a, b, key) {
+    if (key === 'w') {
+        const k = a.w.findIndex((v, i) => v !== b.w[i]);
+        return k < 0 ? 0 : a.w[k] - b.w[k];
+    }
+    return a[key] - b[key];
+}
+
+function renderHypotheses() {
+    const { key, ascending } = hypothesisSort;
+    const sorted = [...topHypotheses].sort((a, b) => (ascending ? 1 : -1) * compareHypotheses(a, b, key));
+    
+    for (const header of document.querySelectorAll('.hypothesis-table th[data-sort]')) {
+        header.classList.toggle('sorted', header.dataset.sort === key);
+        header.classList.toggle('ascending', ascending);
+    }
+    
+    const body = document.getElementById('hypothesisBody');
+    body.innerHTML = '';
+    
+    for (const hypothesis of sorted) {
+        const row = document.createElement('tr');
+        if (isSelectedHypothesis(hypothesis)) row.className = 'selected';
+        
+        row.innerHTML = `
+            <td>${hypothesis.rank}</td>
+            <td>${hypothesis.theta.toFixed(0)}°</td>
+            <td>[${hypothesis.w.join(', ')}]</td>
+            <td>${(hypothesis.probability * 100).toFixed(2)}%</td>
+        `;
+        row.addEventListener('click', () => selectHypothesis(hypothesis));
+        body.appendChild(row);
+    }
+}
+
+function isSelectedHypothesis(hypothesis) {
+    return selectedHypothesis !== null
+        && hypothesis.ti === selectedHypothesis.ti
+        && hypothesis.wi === selectedHypothesis.wi;
+}
+
+/** 行のクリックで仮説を選ぶ（選択中の行なら解除） */
+function selectHypothesis(hypothesis) {
+    if (isSelectedHypothesis(hypothesis)) {
+        selectedHypothesis = null;
+        document.getElementById('hypothesisPrediction').classList.add('hidden');
+    } else {
+        selectedHypothesis = hypothesis;
+        predictSelectedHypothesis();
+    }
+    renderHypotheses();
+}
+
+/** 選んだ仮説が現在のスライダーのオファーに対して予測する感情を表示 */
+async function predictSelectedHypothesis() {
+    const hypothesis = selectedHypothesis;
+    const offer = getCurrentOffer();
+    const generation = gameGeneration;
+    
+    try {
+        const prediction = await engine.request('predictHypothesis', { ti: hypothesis.ti, wi: hypothesis.wi, offer });
+        if (generation !== gameGeneration || hypothesis !== selectedHypothesis) return;
+        
+        const element = document.getElementById('hypothesisPrediction');
+        element.textContent = `θ = ${hypothesis.theta.toFixed(0)}°, w = [${hypothesis.w.join(', ')}] なら ` +
+            `[${offer.join(', ')}] に ${EMOTION_LABELS[prediction.emotion].fullLabel}（${(prediction.probability * 100).toFixed(0)}%）`;
+        element.classList.remove('hidden');
+    } catch (err) {
+        console.error('仮説の予測に失敗しました:', err);
+    }
 }
 
 // =============================================================================
 // 正解表示
 // =============================================================================
 
-function revealAnswer() {
-    const params = game.getTrueParams();
+async function revealAnswer() {
+    const generation = gameGeneration;
+    let params, summary;
+    try {
+        [params, summary] = await Promise.all([
+            engine.request('getTrueParams'),
+            engine.request('getMarginals')
+        ]);
+    } catch (err) {
+        console.error('正解の取得に失敗しました:', err);
+        return;
+    }
+    if (generation !== gameGeneration) return;
     document.getElementById('trueTheta').textContent = params.theta;
     document.getElementById('trueW').textContent = params.w.join(', ');
+    document.getElementById('trueNoise').textContent = params.noise > 0 ? params.noise : '0（ノイズなし）';
+    
+    // 許容幅（推定しない場合は表示しない）
+    document.getElementById('toleranceRow').classList.toggle('hidden', summary.toleranceGrid.length < 2);
+    document.getElementById('toleranceEstimate').textContent = summary.toleranceMean.toFixed(1);
+    document.getElementById('trueTolerance').textContent = params.tolerance;
     document.getElementById('patternName').textContent = params.patternName;
+    
+    // パターンの説明（3論点版のみ表示欄あり）
+    const patternDesc = document.getElementById('patternDesc');
+    if (patternDesc) {
+        patternDesc.textContent = params.patternDescription;
+    }
     document.getElementById('revealArea').classList.remove('hidden');
+    
+    // 収束グラフに推定誤差を重ねる
+    revealedParams = params;
+    refreshConvergence();
+    
+    showTrueClass(generation, summary.toleranceGrid.length > 1);
 }
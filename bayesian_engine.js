@@ -4,9 +4,14 @@
  * 交渉シミュレーションにおける相手エージェントのパラメータ（θ, w）を
  * ベイズ推論で推定するエンジン
  * 
+ * 全バージョン（4論点版・4論点簡易版・3論点版・2論点版）で共有し、
+ * 論点数は CONFIG.Q.length から決まる（1〜6論点を想定）。
+ * 各バージョンの config.js（VARIANT_CONFIG とエージェントのパターン）を先に読み込むこと。
+ * 
  * 構成:
- * - CONFIG: 設定値
+ * - CONFIG: 設定値（共通の既定値を VARIANT_CONFIG で上書き）
  * - ユーティリティ関数: 数学的な基本操作
+ * - 感情モデル: パラメータとオファーから感情を決める（EmotionModel）
  * - ParameterSpace: パラメータ空間と事後分布の管理
  * - BayesianInferenceEngine: 感情予測とベイズ更新
  * - NegotiationGame: ゲーム全体の管理（UIとのインターフェース）
@@ -17,7 +22,7 @@
 // =============================================================================
 
 const CONFIG = {
-    // 論点の総量 Q = [Q1, Q2, Q3, Q4]
+    // 論点の総量 Q = [Q1, ..., Qn]（論点数 n は Q.length）
     Q: [7, 5, 5, 5],
     
     // プレイヤーの重み（UI から動的に変更可能）
@@ -26,106 +31,118 @@ const CONFIG = {
     // パラメータグリッド設定
     W_GRID_MIN: -4,
     W_GRID_MAX: 4,
-    W_GRID_STEP: 1,      // w ∈ {-4, -3, ..., 3, 4}^4 → 9^4 = 6561 通り
+    W_GRID_STEP: 1,      // w ∈ {-4, -3, ..., 3, 4}^n → 9^n 通り
     
     THETA_GRID_MIN: -90,
     THETA_GRID_MAX: 90,
     THETA_GRID_STEP: 5,  // θ ∈ {-90°, -85°, ..., 85°, 90°} → 37 通り
     
     // 感情計算パラメータ
-    EMOTION_RANGE_MAX: 7,  // 感情レベル最大値（JOY1〜JOY7）
+    EMOTION_RANGE_MAX: 7,  // 感情レベル最大値（JOY1〜JOY7）。umax モデルでは許容幅の既定値
+    
+    // 許容幅（UMAX から何効用単位下までを怒らずに受け入れるか）の推定
+    //   INFER_TOLERANCE が true で umax モデルのとき、許容幅を θ, w と同時に推定する
+    //   （パターンの tolerance で個別に指定可能。未指定なら EMOTION_RANGE_MAX）
+    //   仮説の数が TOLERANCE_GRID の長さ倍になるので既定では推定しない（画面の「許容幅も推定する」で切り替える）
+    INFER_TOLERANCE: false,
+    TOLERANCE_GRID: [3, 5, 7, 10, 14],
+    
+    // 感情モデル（EMOTION_MODELS のキー）
+    //   'umax'        : 最大効用 UMAX からの差で感情を決める
+    //   'scaled_floor': ⌊(u_self + cos(θ)·u_other) / scale⌋（3論点版）
+    EMOTION_MODEL: 'umax',
+    
+    // 同じ観測で周辺尤度を比べる感情モデル（EMOTION_MODEL は常に含める）
+    COMPARE_EMOTION_MODELS: ['umax', 'scaled_floor'],
     
     // ベイズ推論パラメータ
-    LIKELIHOOD_MATCH: 1 - 1e-9,     // 予測と観測が一致した場合の尤度
+    LIKELIHOOD_MODEL: 'match',      // 尤度モデル（LIKELIHOOD_MODELS のキー）
+    LIKELIHOOD_NOISE: 1.0,          // 段階的な尤度モデルのノイズの大きさ（感情レベル単位）
+    LIKELIHOOD_MATCH: 1 - 1e-9,     // 予測と観測が一致した場合の尤度（match モデル）
     LIKELIHOOD_MISMATCH: 1e-9 / 8,  // 不一致の場合の尤度（9クラス中8クラスで分配）
     
+    // 感情ノイズ ε の推定
+    //   INFER_NOISE が true でノイズを使う尤度モデルのとき、ε を θ, w と同時に推定する
+    //   （false の場合は ε = LIKELIHOOD_NOISE に固定）
+    INFER_NOISE: true,
+    NOISE_GRID: [0.25, 0.5, 1, 1.5, 2, 3],
+    
+    // エージェントが感情を表出するときのノイズ（パターンの noise で個別に指定可能）
+    //   0 のときは予測通りの感情をそのまま出す
+    AGENT_NOISE: 0,
+    
+    // オファー推薦（期待情報利得）で事後分布から抽出する仮説の数
+    //   仮説の総数がこれ以下なら全仮説で厳密に計算する
+    EIG_SAMPLES: 2000,
+    
+    // 先読み計画で組を作る候補: 単独の期待情報利得の上位件数と、残りから無作為に加える件数
+    LOOKAHEAD_POOL: 12,
+    LOOKAHEAD_RANDOM: 6,
+    
+    // 真の (θ, w) の事後確率がこれ以上になったラウンドを「収束」とみなす
+    CONVERGENCE_MASS: 0.9,
+    
+    // 観測で「除外された」とみなす仮説 (θ, w, r) の確率（一様な事前確率に対する倍率）
+    //   観測前はこれ以上で、観測後にこれ未満になった仮説を、その観測で除外されたものとして数える
+    ELIMINATION_THRESHOLD: 0.01,
+    
+    // 信用区間（最高密度区間）に含める確率
+    HDI_MASS: 0.9,
+    
+    // 事後確率の上位として表示する (θ, w) の仮説の数
+    TOP_HYPOTHESES: 10,
+    
+    // 識別可能性の分析で、正解と区別できない仮説を例として表示する件数
+    IDENTIFIABILITY_EXAMPLES: 8,
+    
+    // W_SELF の設計支援: 模擬ゲームの最大ラウンド数、無作為に試す W_SELF の候補数、提案する件数
+    ADVISOR_ROUNDS: 20,
+    ADVISOR_CANDIDATES: 8,
+    ADVISOR_SUGGESTIONS: 3,
+    // 模擬プレイヤーが毎ラウンド比べるオファーの数と、分かれ方を調べる残りの仮説の数
+    ADVISOR_OFFERS: 32,
+    ADVISOR_SAMPLES: 200,
+    
+    // 2次元の周辺分布（ヒートマップ）で最初に表示する組（'theta' または 'w1', 'w2', ...）
+    HEATMAP_PAIR: ['theta', 'w1'],
+    
+    // 乱数のシード（エージェントの選択・感情ノイズ・仮説の抽出・模擬プレイヤー）
+    //   null ならゲームの生成時に無作為に決める（決めたシードは履歴に表示される）
+    SEED: null,
+    
+    // 既知とするパラメータ（'theta', 'w1', ..., 'wn'）
+    //   事前分布をエージェントの真の値に絞り、残りの次元だけを推定する
+    KNOWN_PARAMS: [],
+    
+    // アイテム絵文字（論点ごと）
+    ITEM_ICONS: ['🍎', '🍋', '🍓', '🥝', '🍇', '🍑'],
+    
     // W_SELF を更新
     setWSelf(newWSelf) {
         this.W_SELF = [...newWSelf];
-    }
+    },
+    
+    // 既知のパラメータを更新
+    setKnownParams(params) {
+        this.KNOWN_PARAMS = [...params];
+    },
+    
+    // 尤度モデルを更新
+    setLikelihood(model, noise, inferNoise = this.INFER_NOISE) {
+        this.LIKELIHOOD_MODEL = model;
+        this.LIKELIHOOD_NOISE = noise;
+        this.INFER_NOISE = inferNoise;
+    },
+    
+    // 許容幅の推定の有無を更新
+    setInferTolerance(enabled) {
+        this.INFER_TOLERANCE = enabled;
+    },
+    
+    // バージョンごとの設定で上書き
+    ...(typeof VARIANT_CONFIG !== 'undefined' ? VARIANT_CONFIG : {})
 };
 
-// =============================================================================
-// エージェントのパラメータパターン
-// =============================================================================
-
-// 難しいパターン（推定が困難）
-const HARD_PATTERNS = [
-    { name: "extreme_neg_1st × 0°", theta: 0, w: [-4, 0, 0, 0] },
-    { name: "balanced_neg × 0°", theta: 0, w: [-2, -2, -2, -2] },
-    { name: "skewed_3rd × -15°", theta: -15, w: [-1, -1, 4, -1] },
-    { name: "triple_124 × 0°", theta: 0, w: [2, 2, -2, 2] },
-    { name: "extreme_neg_1st × -45°", theta: -45, w: [-4, 0, 0, 0] },
-    { name: "balanced_pos × 0°", theta: 0, w: [2, 2, 2, 2] },
-    { name: "diagonal_1 × 45°", theta: 45, w: [3, -1, -1, 3] },
-    { name: "diagonal_2 × 45°", theta: 45, w: [-1, 3, 3, -1] }
-];
-
-// 簡単なパターン（推定が容易）
-const EASY_PATTERNS = [
-    { name: "uniform × 90°", theta: 90, w: [1, 1, 1, 1] },
-    { name: "skewed_1st × 90°", theta: 90, w: [4, -1, -1, -1] },
-    { name: "ascending × 90°", theta: 90, w: [-2, -1, 1, 2] },
-    { name: "uniform × 75°", theta: 75, w: [1, 1, 1, 1] },
-    { name: "ascending × 75°", theta: 75, w: [-2, -1, 1, 2] },
-    { name: "skewed_1st × -45°", theta: -45, w: [4, -1, -1, -1] },
-    { name: "skewed_1st × -30°", theta: -30, w: [4, -1, -1, -1] },
-    { name: "uniform × -15°", theta: -15, w: [1, 1, 1, 1] }
-];
-
-const VARIUS_TEST_PATTERN = [
-    // === θ = 90° (完全利他的: 相手の効用のみ考慮) ===
-    { name: "uniform × 90°", theta: 90, w: [1, 1, 1, 1] },
-    { name: "ascending × 90°", theta: 90, w: [-1, 0, 1, 2] },
-    { name: "descending × 90°", theta: 90, w: [2, 1, 0, -1] },
-    { name: "focus_1st × 90°", theta: 90, w: [3, 1, 0, -1] },
-    { name: "focus_4th × 90°", theta: 90, w: [-1, 0, 1, 3] },
-    { name: "contrast × 90°", theta: 90, w: [2, -1, 2, -1] },
-    { name: "mild_pos × 90°", theta: 90, w: [2, 1, 1, 0] },
-    { name: "mild_neg × 90°", theta: 90, w: [0, -1, 1, 2] },
-    { name: "balanced × 90°", theta: 90, w: [1, 2, -1, 1] },
-    { name: "spread × 90°", theta: 90, w: [3, -2, 1, 0] },
-    
-    // === θ = 45° (バランス型: 自分と相手を同等に考慮) ===
-    { name: "uniform × 45°", theta: 45, w: [1, 1, 1, 1] },
-    { name: "ascending × 45°", theta: 45, w: [-1, 0, 1, 2] },
-    { name: "descending × 45°", theta: 45, w: [2, 1, 0, -1] },
-    { name: "focus_2nd × 45°", theta: 45, w: [0, 3, 1, -1] },
-    { name: "focus_3rd × 45°", theta: 45, w: [-1, 1, 3, 0] },
-    { name: "contrast × 45°", theta: 45, w: [-1, 2, -1, 2] },
-    { name: "mild_pos × 45°", theta: 45, w: [1, 2, 1, 0] },
-    { name: "mild_neg × 45°", theta: 45, w: [0, 1, -1, 2] },
-    { name: "diagonal × 45°", theta: 45, w: [2, 0, 1, 2] },
-    { name: "mixed × 45°", theta: 45, w: [1, -2, 2, 1] },
-    
-    // === θ = 0° (中立: 自分の効用のみ考慮) ===
-    { name: "uniform × 0°", theta: 0, w: [1, 1, 1, 1] },
-    { name: "ascending × 0°", theta: 0, w: [-1, 0, 1, 2] },
-    { name: "descending × 0°", theta: 0, w: [2, 1, 0, -1] },
-    { name: "focus_1st × 0°", theta: 0, w: [3, 0, -1, 1] },
-    { name: "focus_2nd × 0°", theta: 0, w: [1, 3, 0, -1] },
-    { name: "contrast × 0°", theta: 0, w: [2, -2, 1, -1] },
-    { name: "mild_pos × 0°", theta: 0, w: [2, 2, 0, 1] },
-    { name: "mild_neg × 0°", theta: 0, w: [-1, 1, 2, 0] },
-    { name: "spread × 0°", theta: 0, w: [1, -1, 2, 1] },
-    { name: "asymmetric × 0°", theta: 0, w: [0, 2, -1, 3] },
-    
-    // === θ = -45° (競争的: 相手の損失を重視) ===
-    { name: "uniform × -45°", theta: -45, w: [1, 1, 1, 1] },
-    { name: "ascending × -45°", theta: -45, w: [-1, 0, 1, 2] },
-    { name: "descending × -45°", theta: -45, w: [2, 1, 0, -1] },
-    { name: "focus_3rd × -45°", theta: -45, w: [0, -1, 3, 1] },
-    { name: "focus_4th × -45°", theta: -45, w: [1, 0, -1, 3] },
-    { name: "contrast × -45°", theta: -45, w: [-1, 1, 2, -2] },
-    { name: "mild_pos × -45°", theta: -45, w: [1, 0, 2, 1] },
-    { name: "mild_neg × -45°", theta: -45, w: [0, 2, 1, -1] },
-    { name: "spread × -45°", theta: -45, w: [2, -1, 0, 2] },
-    { name: "asymmetric × -45°", theta: -45, w: [-1, 3, 1, 0] }
-];
-
-// 使用するパターン一覧
-const ALL_PATTERNS = [...VARIUS_TEST_PATTERN];
-
 // =============================================================================
 // ユーティリティ関数
 // =============================================================================
@@ -142,230 +159,329 @@ const dot = (a, b) => a.reduce((sum, val, i) => sum + val * b[i], 0);
 /** 配列の差 a - b */
 const subtractArrays = (a, b) => a.map((val, i) => val - b[i]);
 
-/** 1次元配列を確率分布として正規化 */
-function normalize(arr) {
-    const sum = arr.reduce((a, b) => a + b, 0);
-    if (sum <= 0) return arr.map(() => 1 / arr.length);
-    return arr.map(v => v / sum);
-}
-
-/** 2次元配列を確率分布として正規化 */
-function normalize2D(arr2d) {
-    const flat = arr2d.flat();
-    const sum = flat.reduce((a, b) => a + b, 0);
-    if (sum <= 0) {
-        const val = 1 / flat.length;
-        return arr2d.map(row => row.map(() => val));
+/**
+ * logsumexp（数値安定化）: log Σ_i exp(logArr[i])
+ * 全要素が -Infinity の場合は -Infinity を返す
+ */
+function logsumexp(logArr) {
+    let maxLog = -Infinity;
+    for (let i = 0; i < logArr.length; i++) {
+        if (logArr[i] > maxLog) maxLog = logArr[i];
     }
-    return arr2d.map(row => row.map(v => v / sum));
+    if (!isFinite(maxLog)) return maxLog;
+    
+    let sum = 0;
+    for (let i = 0; i < logArr.length; i++) sum += Math.exp(logArr[i] - maxLog);
+    return maxLog + Math.log(sum);
 }
 
-// =============================================================================
-// グリッド生成関数
-// =============================================================================
+/** 二項係数 C(n, k) */
+function binomial(n, k) {
+    let result = 1;
+    for (let i = 0; i < k; i++) result = result * (n - i) / (i + 1);
+    return Math.round(result);
+}
 
-/** 全ての可能なオファー（配分）を生成 */
-function generateAllOffers(Q) {
-    const offers = [];
-    for (let a = 0; a <= Q[0]; a++) {
-        for (let b = 0; b <= Q[1]; b++) {
-            for (let c = 0; c <= Q[2]; c++) {
-                for (let d = 0; d <= Q[3]; d++) {
-                    offers.push([a, b, c, d]);
-                }
-            }
-        }
+/**
+ * {0, ..., n-1} から k 個を選ぶ組合せを辞書順に列挙
+ * 例: combinations(3, 2) → [0, 1], [0, 2], [1, 2]
+ */
+function* combinations(n, k) {
+    const combo = Array.from({ length: k }, (_, i) => i);
+    while (k <= n) {
+        yield [...combo];
+        let i = k - 1;
+        while (i >= 0 && combo[i] === n - k + i) i--;
+        if (i < 0) return;
+        combo[i]++;
+        for (let j = i + 1; j < k; j++) combo[j] = combo[j - 1] + 1;
     }
-    return offers;  // (Q[0]+1) * (Q[1]+1) * (Q[2]+1) * (Q[3]+1) = 1296 通り
 }
 
-/** w のパラメータグリッドを生成 */
-function generateWGrid(min, max, step) {
-    const values = [];
-    for (let v = min; v <= max + 0.001; v += step) {
-        values.push(Math.round(v * 100) / 100);
+/** 離散分布のエントロピー（ビット） */
+function entropyBits(probs) {
+    let h = 0;
+    for (let i = 0; i < probs.length; i++) {
+        if (probs[i] > 0) h -= probs[i] * Math.log2(probs[i]);
     }
+    return h;
+}
+
+/**
+ * 離散分布の最高密度区間
+ * 昇順のグリッド上で確率 mass 以上を含む連続区間のうち、幅が最も狭いもの
+ * （同じ幅なら確率の大きいもの）
+ * 
+ * @param {number[]} values - 昇順のグリッド
+ * @param {ArrayLike<number>} probs - 各グリッド点の確率（合計 1）
+ * @param {number} mass - 区間に含める確率
+ * @returns {number[]} [下限, 上限]
+ */
+function highestDensityInterval(values, probs, mass) {
+    const target = mass - 1e-12;  // 丸め誤差で合計がわずかに足りない場合を許す
+    let best = [values[0], values[values.length - 1]];
+    let bestWidth = Infinity;
+    let bestMass = 0;
+    let lo = 0;
+    let sum = 0;
     
-    const grid = [];
-    for (const a of values) {
-        for (const b of values) {
-            for (const c of values) {
-                for (const d of values) {
-                    grid.push([a, b, c, d]);
-                }
-            }
+    for (let hi = 0; hi < values.length; hi++) {
+        sum += probs[hi];
+        while (lo < hi && sum - probs[lo] >= target) sum -= probs[lo++];
+        if (sum < target) continue;
+        
+        const width = values[hi] - values[lo];
+        if (width < bestWidth || (width === bestWidth && sum > bestMass)) {
+            best = [values[lo], values[hi]];
+            bestWidth = width;
+            bestMass = sum;
         }
     }
-    return grid;  // 9^4 = 6561 通り
+    return best;
 }
 
-/** θ のパラメータグリッドを生成（ラジアンで返す） */
-function generateThetaGrid(min, max, step) {
-    const grid = [];
-    for (let t = min; t <= max + 0.001; t += step) {
-        grid.push(degToRad(t));
-    }
-    return grid;  // 37 通り
+/** 1次元配列を確率分布として正規化 */
+function normalize(arr) {
+    const sum = arr.reduce((a, b) => a + b, 0);
+    if (sum <= 0) return arr.map(() => 1 / arr.length);
+    return arr.map(v => v / sum);
 }
 
 // =============================================================================
-// ParameterSpace クラス
-// パラメータ空間（θ × w）と事後分布 P(θ, w | observations) を管理
+// 尤度モデル
+// 予測感情 e_pred のとき感情 e_obs が観測される確率 P(e_obs | e_pred)
 // =============================================================================
 
-class ParameterSpace {
-    constructor(thetaValues, wGrid) {
-        this.thetaValues = thetaValues;  // θ のグリッド（ラジアン）
-        this.wGrid = wGrid;              // w のグリッド
-        this.Nt = thetaValues.length;    // θ の候補数
-        this.Nw = wGrid.length;          // w の候補数
-        
-        // 一様事前分布で初期化: P(θ_i, w_j) = 1 / (Nt * Nw)
-        this._initUniformPrior();
-    }
+// 感情ラベル: -1(ANGER), 0(NEUTRAL), 1-7(JOY1-7)
+const EMOTION_VALUES = [-1, 0, 1, 2, 3, 4, 5, 6, 7];
+const NUM_EMOTIONS = EMOTION_VALUES.length;
+
+/**
+ * 各モデルの logits(d, noise) は、順序上の距離 d = |e_obs - e_pred| に対する
+ * 正規化前の対数重み。9ラベル上での正規化は buildLogLikelihoodTable で行う
+ */
+const LIKELIHOOD_MODELS = {
+    // 一致なら LIKELIHOOD_MATCH、それ以外は一律 LIKELIHOOD_MISMATCH
+    match: {
+        label: '一致 / 不一致',
+        usesNoise: false,
+        logits: d => Math.log(d === 0 ? CONFIG.LIKELIHOOD_MATCH : CONFIG.LIKELIHOOD_MISMATCH)
+    },
     
-    _initUniformPrior() {
-        const uniformProb = 1 / (this.Nt * this.Nw);
-        this.distribution = Array(this.Nt).fill(null)
-            .map(() => Array(this.Nw).fill(uniformProb));
-    }
+    // 離散ガウス: P ∝ exp(-d² / 2σ²)
+    gaussian: {
+        label: '離散ガウス',
+        usesNoise: true,
+        logits: (d, noise) => -(d * d) / (2 * noise * noise)
+    },
     
-    /** 分布を更新 */
-    updateDistribution(newDist) {
-        this.distribution = newDist;
+    // 距離のソフトマックス: P ∝ exp(-d / τ)
+    softmax: {
+        label: 'ソフトマックス',
+        usesNoise: true,
+        logits: (d, noise) => -d / noise
     }
-    
-    /** 現在の同時分布を取得 */
-    getJointDistribution() {
-        return this.distribution;
+};
+
+/** 感情ラベル e のインデックス（0〜8） */
+const emotionIndex = e => e - EMOTION_VALUES[0];
+
+/**
+ * 対数尤度表を作成
+ * table[emotionIndex(e_pred) * NUM_EMOTIONS + emotionIndex(e_obs)] = log P(e_obs | e_pred)
+ * 
+ * @param {string} modelName - LIKELIHOOD_MODELS のキー
+ * @param {number} noise - ノイズの大きさ（usesNoise のモデルのみ使用）
+ * @returns {Float64Array}
+ */
+function buildLogLikelihoodTable(modelName, noise) {
+    const model = LIKELIHOOD_MODELS[modelName];
+    if (!model) {
+        throw new Error(`Unknown likelihood model: ${modelName}`);
     }
     
-    /** θ の周辺分布 P(θ) = Σ_w P(θ, w) */
-    getMarginalTheta() {
-        return this.distribution.map(row => row.reduce((a, b) => a + b, 0));
-    }
+    const table = new Float64Array(NUM_EMOTIONS * NUM_EMOTIONS);
+    const row = new Float64Array(NUM_EMOTIONS);
     
-    /** w の周辺分布 P(w) = Σ_θ P(θ, w) */
-    getMarginalW() {
-        const marginal = Array(this.Nw).fill(0);
-        for (let i = 0; i < this.Nt; i++) {
-            for (let j = 0; j < this.Nw; j++) {
-                marginal[j] += this.distribution[i][j];
-            }
+    for (let p = 0; p < NUM_EMOTIONS; p++) {
+        for (let o = 0; o < NUM_EMOTIONS; o++) {
+            row[o] = model.logits(Math.abs(o - p), noise);
         }
-        return marginal;
-    }
-    
-    /**
-     * w の各成分 (w1, w2, w3, w4) ごとの周辺分布を計算
-     * 例: P(w1 = k) = Σ_{w: w[0]=k} P(w)
-     */
-    getComponentWiseMarginals() {
-        const wMarginal = this.getMarginalW();
-        const marginals = [];
-        
-        for (let comp = 0; comp < 4; comp++) {
-            const valueProbs = new Map();
-            
-            for (let j = 0; j < this.Nw; j++) {
-                const val = this.wGrid[j][comp];
-                const prob = wMarginal[j];
-                valueProbs.set(val, (valueProbs.get(val) || 0) + prob);
-            }
-            
-            const sorted = Array.from(valueProbs.entries()).sort((a, b) => a[0] - b[0]);
-            marginals.push({
-                component: comp,
-                values: sorted.map(e => e[0]),
-                probs: sorted.map(e => e[1])
-            });
+        const logZ = logsumexp(row);
+        for (let o = 0; o < NUM_EMOTIONS; o++) {
+            table[p * NUM_EMOTIONS + o] = row[o] - logZ;
         }
-        
-        return marginals;
     }
+    return table;
+}
+
+/**
+ * 推定する感情ノイズ ε の候補
+ * ノイズを推定しない設定や、ノイズを使わない尤度モデルでは LIKELIHOOD_NOISE の1点のみ
+ */
+function getNoiseGrid() {
+    const model = LIKELIHOOD_MODELS[CONFIG.LIKELIHOOD_MODEL];
+    if (CONFIG.INFER_NOISE && model && model.usesNoise) {
+        return [...CONFIG.NOISE_GRID];
+    }
+    return [CONFIG.LIKELIHOOD_NOISE];
+}
+
+/**
+ * シード付きの擬似乱数生成器（mulberry32）
+ * 
+ * @param {number} seed - 32 ビット符号なし整数のシード
+ * @returns {function(): number} [0, 1) の一様乱数を返す関数
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** 同じシードから独立な乱数系列を取り出すための、系列番号 stream ごとのシード */
+function deriveSeed(seed, stream) {
+    let h = (seed ^ Math.imul(stream + 1, 0x9E3779B9)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * URL や入力欄のシードを 32 ビット符号なし整数にする
+ * 0 以上の整数はそのまま、それ以外の文字列はハッシュ（FNV-1a）を使う
+ * 
+ * @param {number|string} value
+ */
+function normalizeSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(BigInt(text) % 4294967296n);
+    }
+    let h = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * 予測感情にノイズを加えた感情をサンプリング（離散ガウス、σ = noise）
+ * 
+ * @param {number} emotion - 予測感情
+ * @param {number} noise - ノイズの大きさ（0 以下ならそのまま返す）
+ * @param {function(): number} [random] - [0, 1) の乱数
+ */
+function sampleNoisyEmotion(emotion, noise, random = Math.random) {
+    if (!(noise > 0)) return emotion;
     
-    /** 事後平均 E[θ], E[w] を計算 */
-    getPosteriorMean() {
-        const normDist = normalize2D(this.distribution);
-        
-        // E[θ] = Σ_i θ_i * P(θ_i)
-        const thetaMarginal = normDist.map(row => row.reduce((a, b) => a + b, 0));
-        const thetaMean = this.thetaValues.reduce((sum, t, i) => sum + t * thetaMarginal[i], 0);
-        
-        // E[w] = Σ_j w_j * P(w_j)
-        const wMarginal = Array(this.Nw).fill(0);
-        for (let i = 0; i < this.Nt; i++) {
-            for (let j = 0; j < this.Nw; j++) {
-                wMarginal[j] += normDist[i][j];
-            }
-        }
-        
-        const wMean = [0, 0, 0, 0];
-        for (let j = 0; j < this.Nw; j++) {
-            for (let k = 0; k < 4; k++) {
-                wMean[k] += wMarginal[j] * this.wGrid[j][k];
-            }
-        }
-        
-        return { thetaMean, wMean };
+    const table = buildLogLikelihoodTable('gaussian', noise);
+    const base = emotionIndex(emotion) * NUM_EMOTIONS;
+    let u = random();
+    for (let o = 0; o < NUM_EMOTIONS - 1; o++) {
+        u -= Math.exp(table[base + o]);
+        if (u < 0) return EMOTION_VALUES[o];
     }
+    return EMOTION_VALUES[NUM_EMOTIONS - 1];
 }
 
 // =============================================================================
-// BayesianInferenceEngine クラス
-// 感情予測とベイズ更新を担当
+// 感情モデル
+// パラメータ (θ, w, 許容幅 r) のエージェントがオファー x に対して示す感情を決める
+// 
+// 各モデルは EmotionModel を継承して cellEmotion / emotion を実装し、
+// EMOTION_MODELS に登録すると CONFIG.EMOTION_MODEL で選べる
+// （以下 selfDot = wSelf・x, otherDot = w・(Q - x)）
 // =============================================================================
 
-class BayesianInferenceEngine {
-    constructor(paramSpace, Q, wSelf, candX) {
-        this.paramSpace = paramSpace;
+class EmotionModel {
+    constructor(Q, wSelf) {
         this.Q = Q;
         this.wSelf = wSelf;
-        this.candX = candX;
-        
-        // 各 (θ, w) に対する最大効用を事前計算（高速化のため）
-        this._precomputeUMAX();
     }
     
     /**
-     * UMAX[ti][wi] = max_x U(x; θ_ti, w_wi)
-     * 全ての (θ, w) の組み合わせについて、エージェントが得られる最大効用を事前計算
+     * パラメータグリッド全体で使う値を前計算
+     * 派生クラスで拡張する場合は super.prepare を呼ぶこと
+     */
+    prepare(paramSpace) {
+        this.Nw = paramSpace.Nw;
+        this.cosTheta = Float64Array.from(paramSpace.thetaValues, Math.cos);
+        this.sinTheta = Float64Array.from(paramSpace.thetaValues, Math.sin);
+    }
+    
+    /**
+     * グリッド上のセル (θ_ti, w_wi) での感情（ベイズ更新の内側のループで呼ばれる）
+     * 
+     * @returns {number} 感情ラベル: -1(ANGER), 0(NEUTRAL), 1-7(JOY1-7)
+     */
+    cellEmotion(ti, wi, selfDot, otherDot, tolerance) {
+        throw new Error(`${this.constructor.name}.cellEmotion is not implemented`);
+    }
+    
+    /**
+     * 任意のパラメータ (θ, w, r) での感情（真のエージェントの反応など）
+     * 
+     * @param {number[]} x - オファー
+     * @param {number} theta - θ（ラジアン）
+     * @param {number[]} w - 相手の重み
+     * @param {number} tolerance - 許容幅
      */
-    _precomputeUMAX() {
-        const { Nt, Nw, thetaValues, wGrid } = this.paramSpace;
+    emotion(x, theta, w, tolerance) {
+        throw new Error(`${this.constructor.name}.emotion is not implemented`);
+    }
+}
+
+/**
+ * umax モデル: 最大効用 UMAX からの差で感情を決める
+ * 
+ * U(x) = cos(θ)·w・(Q - x) + sin(θ)·wSelf・x が UMAX - r を下回ると ANGER、
+ * ちょうどなら NEUTRAL、上回った分（切り上げ）が JOY のレベル
+ */
+class UmaxEmotionModel extends EmotionModel {
+    /** UMAX[ti * Nw + wi] = max_x U(x; θ_ti, w_wi) を全セルについて前計算 */
+    prepare(paramSpace) {
+        super.prepare(paramSpace);
         
-        this.UMAX = Array(Nt).fill(null).map(() => Array(Nw).fill(0));
+        const { Nt, Nw, wGrid } = paramSpace;
+        this.UMAX = new Float64Array(Nt * Nw);
         
         for (let ti = 0; ti < Nt; ti++) {
-            const theta = thetaValues[ti];
-            const cosT = Math.cos(theta);
-            const sinT = Math.sin(theta);
-            
             for (let wi = 0; wi < Nw; wi++) {
-                const wOther = wGrid[wi];
-                let maxU = -Infinity;
-                
-                // 全オファー候補から最大効用を探索
-                for (const x of this.candX) {
-                    const xOther = subtractArrays(this.Q, x);
-                    const u = cosT * dot(wOther, xOther) + sinT * dot(this.wSelf, x);
-                    if (u > maxU) maxU = u;
-                }
-                
-                this.UMAX[ti][wi] = maxU;
+                this.UMAX[ti * Nw + wi] = this.maxUtility(this.cosTheta[ti], this.sinTheta[ti], wGrid[wi]);
             }
         }
     }
     
+    /**
+     * 最大効用 max_x U(x; θ, w) を解析的に計算
+     * 
+     * U(x) は x について線形で、オファー候補は箱 0 ≤ x_k ≤ Q_k の格子点全体なので、
+     * 論点ごとに端点で最大となる:
+     *   UMAX = Σ_k Q_k · max(cos(θ)·w_k, sin(θ)·wSelf_k)
+     */
+    maxUtility(cosT, sinT, wOther) {
+        let maxU = 0;
+        for (let k = 0; k < this.Q.length; k++) {
+            maxU += this.Q[k] * Math.max(cosT * wOther[k], sinT * this.wSelf[k]);
+        }
+        return maxU;
+    }
+    
     /**
      * 効用値から感情ラベルを計算
      * 
      * @param {number} utility - エージェントの効用 U(x; θ, w)
      * @param {number} maxUtility - そのパラメータでの最大効用 UMAX
-     * @returns {number} 感情ラベル: -1(ANGER), 0(NEUTRAL), 1-7(JOY1-7)
+     * @param {number} tolerance - 許容幅（UMAX - tolerance を下回ると ANGER）
      */
-    _utilityToEmotion(utility, maxUtility) {
-        const limit = maxUtility - CONFIG.EMOTION_RANGE_MAX;
+    _utilityToEmotion(utility, maxUtility, tolerance) {
+        const limit = maxUtility - tolerance;
         const delta = utility - limit;
         const eps = 1e-3;
         
@@ -378,179 +494,2270 @@ class BayesianInferenceEngine {
         }
     }
     
-    /**
-     * 特定の (θ, w, x) に対する予測感情を計算
-     * インデックスベースで高速にアクセス
-     */
-    predictEmotion(thetaIndex, wIndex, x) {
-        const theta = this.paramSpace.thetaValues[thetaIndex];
-        const wOther = this.paramSpace.wGrid[wIndex];
-        
-        // 効用計算: U = cos(θ) * w・xOther + sin(θ) * wSelf・x
-        const xOther = subtractArrays(this.Q, x);
-        const utility = Math.cos(theta) * dot(wOther, xOther) 
-                      + Math.sin(theta) * dot(this.wSelf, x);
-        
-        return this._utilityToEmotion(utility, this.UMAX[thetaIndex][wIndex]);
+    cellEmotion(ti, wi, selfDot, otherDot, tolerance) {
+        const utility = this.cosTheta[ti] * otherDot + this.sinTheta[ti] * selfDot;
+        return this._utilityToEmotion(utility, this.UMAX[ti * this.Nw + wi], tolerance);
     }
     
-    /**
-     * 真のパラメータ (trueTheta, trueW) での感情を計算
-     * オファー x に対するエージェントの反応をシミュレート
-     */
-    computeTrueEmotion(x, trueTheta, trueW) {
-        // 効用計算
-        const xOther = subtractArrays(this.Q, x);
-        const utility = Math.cos(trueTheta) * dot(trueW, xOther) 
-                      + Math.sin(trueTheta) * dot(this.wSelf, x);
-        
-        // 最大効用を計算（真のパラメータ用）
-        let maxU = -Infinity;
-        const cosT = Math.cos(trueTheta);
-        const sinT = Math.sin(trueTheta);
-        for (const candidate of this.candX) {
-            const candOther = subtractArrays(this.Q, candidate);
-            const u = cosT * dot(trueW, candOther) + sinT * dot(this.wSelf, candidate);
-            if (u > maxU) maxU = u;
-        }
+    emotion(x, theta, w, tolerance) {
+        const cosT = Math.cos(theta);
+        const sinT = Math.sin(theta);
+        const utility = cosT * dot(w, subtractArrays(this.Q, x)) + sinT * dot(this.wSelf, x);
         
-        return this._utilityToEmotion(utility, maxU);
+        return this._utilityToEmotion(utility, this.maxUtility(cosT, sinT, w), tolerance);
+    }
+}
+
+/**
+ * scaled_floor モデル（3論点版、論文式に基づく）
+ * e = clip(⌊(u_self(x) + cos(θ)·u_other(x)) / scale⌋, -1, EMOTION_RANGE_MAX)
+ * 
+ * sin(θ) の項と許容幅は使わない
+ */
+class ScaledFloorEmotionModel extends EmotionModel {
+    constructor(Q, wSelf) {
+        super(Q, wSelf);
+        this.scale = this._computeScale();
     }
     
     /**
-     * ベイズ更新
-     * 観測された感情をもとに事後分布を更新
-     * 
-     * P(θ, w | e, x) ∝ P(e | θ, w, x) * P(θ, w)
+     * スケール: max|u_self| + max|u_other| を感情レベル数で割る
      */
-    update(observedEmotion, xProposal) {
-        const prior = this.paramSpace.getJointDistribution();
-        const { Nt, Nw } = this.paramSpace;
-        
-        const posterior = Array(Nt).fill(null).map(() => Array(Nw).fill(0));
+    _computeScale() {
+        const wAbsMax = Math.max(CONFIG.W_GRID_MAX, Math.abs(CONFIG.W_GRID_MIN));
+        const selfAbsMax = Math.max(...this.wSelf.map(Math.abs));
+        const qSum = this.Q.reduce((a, b) => a + b, 0);
+        const maxUtil = (wAbsMax + selfAbsMax) * qSum;
         
-        for (let ti = 0; ti < Nt; ti++) {
-            for (let wi = 0; wi < Nw; wi++) {
-                // 予測感情を計算
-                const predicted = this.predictEmotion(ti, wi, xProposal);
-                
-                // 尤度: P(e_observed | θ, w, x)
-                const likelihood = (predicted === observedEmotion)
-                    ? CONFIG.LIKELIHOOD_MATCH
-                    : CONFIG.LIKELIHOOD_MISMATCH;
-                
-                // 事後 ∝ 事前 × 尤度
-                posterior[ti][wi] = prior[ti][wi] * likelihood;
-            }
-        }
+        return maxUtil / CONFIG.EMOTION_RANGE_MAX;
+    }
+    
+    /** @param {number} combined - u_self(x) + cos(θ)·u_other(x) */
+    _floorEmotion(combined) {
+        const rawEmotion = Math.floor(combined / this.scale);
         
-        // 正規化して更新
-        this.paramSpace.updateDistribution(normalize2D(posterior));
+        return Math.max(-1, Math.min(CONFIG.EMOTION_RANGE_MAX, rawEmotion));
+    }
+    
+    cellEmotion(ti, wi, selfDot, otherDot) {
+        return this._floorEmotion(selfDot + this.cosTheta[ti] * otherDot);
+    }
+    
+    emotion(x, theta, w) {
+        return this._floorEmotion(dot(this.wSelf, x) + Math.cos(theta) * dot(w, subtractArrays(this.Q, x)));
+    }
+}
+
+/**
+ * 登録済みの感情モデル（CONFIG.EMOTION_MODEL のキー）
+ * - usesTolerance: 許容幅 r を使うか（使わないモデルでは r を推定しない）
+ */
+const EMOTION_MODELS = {
+    umax: {
+        label: 'UMAX 基準',
+        usesTolerance: true,
+        Model: UmaxEmotionModel
+    },
+    scaled_floor: {
+        label: 'スケール床関数',
+        usesTolerance: false,
+        Model: ScaledFloorEmotionModel
+    }
+};
+
+/** 周辺尤度を比較する感情モデル（先頭は使用中の CONFIG.EMOTION_MODEL） */
+function getComparedEmotionModels() {
+    return [CONFIG.EMOTION_MODEL,
+        ...CONFIG.COMPARE_EMOTION_MODELS.filter(name => name !== CONFIG.EMOTION_MODEL)];
+}
+
+/** 名前から感情モデルを生成 */
+function createEmotionModel(name, Q, wSelf) {
+    const entry = EMOTION_MODELS[name];
+    if (!entry) {
+        throw new Error(`Unknown emotion model: ${name}`);
     }
+    return new entry.Model(Q, wSelf);
 }
 
 // =============================================================================
-// NegotiationGame クラス
-// ゲーム全体を管理し、UIとのインターフェースを提供
+// グリッド生成関数
 // =============================================================================
 
-class NegotiationGame {
-    constructor(customWSelf = null) {
-        this.Q = CONFIG.Q;
-        this.wSelf = customWSelf || [...CONFIG.W_SELF];
-        
-        // グリッド生成（ゲーム全体で共有）
-        this.candX = generateAllOffers(this.Q);
-        this.wGrid = generateWGrid(CONFIG.W_GRID_MIN, CONFIG.W_GRID_MAX, CONFIG.W_GRID_STEP);
-        this.thetaGrid = generateThetaGrid(CONFIG.THETA_GRID_MIN, CONFIG.THETA_GRID_MAX, CONFIG.THETA_GRID_STEP);
-        
-        this.reset();
-    }
-    
-    /** ゲームをリセット（新しいエージェントを生成） */
-    reset() {
-        // ランダムにパターンを選択
-        const pattern = ALL_PATTERNS[Math.floor(Math.random() * ALL_PATTERNS.length)];
-        this.trueTheta = degToRad(pattern.theta);
-        this.trueThetaDeg = pattern.theta;
-        this.trueW = pattern.w;
-        this.patternName = pattern.name;
-        
-        // 推論エンジンを初期化
-        this.paramSpace = new ParameterSpace(this.thetaGrid, this.wGrid);
-        this.engine = new BayesianInferenceEngine(
-            this.paramSpace, this.Q, this.wSelf, this.candX
-        );
-        
-        this.round = 0;
-        this.history = [];
+/** レンジ生成 [min, min+step, ..., max]（浮動小数点誤差対策で丸める） */
+function range(min, max, step = 1) {
+    const values = [];
+    for (let v = min; v <= max + 0.001; v += step) {
+        values.push(Math.round(v * 100) / 100);
     }
-    
-    /** プレイヤーの重み W_SELF を更新してリセット */
-    updateWSelf(newWSelf) {
-        this.wSelf = [...newWSelf];
-        CONFIG.setWSelf(newWSelf);
-        this.reset();
+    return values;
+}
+
+/**
+ * 各成分の候補値リストの直積を生成
+ * 例: [[0, 1], [0, 1, 2]] → [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2]]
+ */
+function cartesianProduct(valueLists) {
+    let result = [[]];
+    for (const values of valueLists) {
+        const next = [];
+        for (const prefix of result) {
+            for (const v of values) {
+                next.push([...prefix, v]);
+            }
+        }
+        result = next;
     }
-    
-    /**
-     * オファーを適用
-     * 1. 真のパラメータで感情を計算
+    return result;
+}
+
+/** 全ての可能なオファー（配分）を生成 */
+function generateAllOffers(Q) {
+    // Π_k (Q[k]+1) 通り（4論点版: 8 * 6 * 6 * 6 = 1728 通り）
+    return cartesianProduct(Q.map(q => range(0, q)));
+}
+
+/**
+ * w のパラメータグリッドを生成（numIssues 次元）
+ * fixed[k] が指定された成分はその値のみ（既知のパラメータ）
+ */
+function generateWGrid(min, max, step, numIssues, fixed = []) {
+    // 9^n 通り（4論点版: 9^4 = 6561 通り）
+    const values = range(min, max, step);
+    return cartesianProduct(Array.from({ length: numIssues }, (_, k) => fixed[k] == null ? values : [fixed[k]]));
+}
+
+/** θ のパラメータグリッドを生成（ラジアンで返す） */
+function generateThetaGrid(min, max, step) {
+    return range(min, max, step).map(degToRad);  // 37 通り
+}
+
+/**
+ * 推定する許容幅の候補
+ * 推定しない設定や、許容幅を使わない感情モデル（scaled_floor）では EMOTION_RANGE_MAX の1点のみ
+ */
+function getToleranceGrid(emotionModel = CONFIG.EMOTION_MODEL) {
+    const model = EMOTION_MODELS[emotionModel];
+    if (CONFIG.INFER_TOLERANCE && model && model.usesTolerance) {
+        return [...CONFIG.TOLERANCE_GRID];
+    }
+    return [CONFIG.EMOTION_RANGE_MAX];
+}
+
+// =============================================================================
+// ParameterSpace クラス
+// パラメータ空間（θ × w × ε × 許容幅 r）と事後分布 P(θ, w, ε, r | observations) を管理
+// 
+// 事後分布は長さ Ne * Nr * Nt * Nw の Float64Array に格納する
+// （セル (ti, wi, ei, ri) のインデックスは ((ei * Nr + ri) * Nt + ti) * Nw + wi）
+// ε ごとの Nr * Nt * Nw のブロックは (r, θ, w) の並びが共通なので、
+// 予測感情は (r, θ, w) の1ブロック分だけ計算すればよい
+// 更新は対数 logDistribution 上で行い、周辺分布などの計算用に
+// 確率 distribution = exp(logDistribution) も保持する
+// =============================================================================
+
+class ParameterSpace {
+    constructor(thetaValues, wGrid, noiseValues = [CONFIG.LIKELIHOOD_NOISE], toleranceValues = [CONFIG.EMOTION_RANGE_MAX]) {
+        this.thetaValues = thetaValues;  // θ のグリッド（ラジアン）
+        this.wGrid = wGrid;              // w のグリッド
+        this.noiseValues = noiseValues;  // 感情ノイズ ε のグリッド
+        this.toleranceValues = toleranceValues;  // 許容幅 r のグリッド
+        this.Nt = thetaValues.length;    // θ の候補数
+        this.Nw = wGrid.length;          // w の候補数
+        this.Ne = noiseValues.length;    // ε の候補数
+        this.Nr = toleranceValues.length;  // r の候補数
+        this.numIssues = wGrid[0].length;  // 論点数（w の次元）
+        this.sliceSize = this.Nr * this.Nt * this.Nw;  // ε を固定したときの (r, θ, w) の数
+        this.size = this.Ne * this.sliceSize;  // 仮説 (θ, w, ε, r) の総数
+        
+        this._buildWIndex();
+        
+        // 周辺分布の計算用バッファ（再利用して確保を避ける）
+        this._thetaBuffer = new Float64Array(this.Nt);
+        this._wBuffer = new Float64Array(this.Nw);
+        this._noiseBuffer = new Float64Array(this.Ne);
+        this._toleranceBuffer = new Float64Array(this.Nr);
+        this._cellBuffer = null;  // (θ, w) の周辺分布（上位の仮説を求めるときに確保）
+        this._compBuffers = this.wComponentValues.map(values => new Float64Array(values.length));
+        
+        // 一様事前分布で初期化: P(θ_i, w_j, ε_k, r_l) = 1 / (Nt * Nw * Ne * Nr)
+        this.distribution = new Float64Array(this.size);
+        this.logDistribution = new Float64Array(this.size);
+        this._initUniformPrior();
+    }
+    
+    /**
+     * w グリッドをフラットな配列に展開
+     * - wFlat[wi * n + k]      : w_wi の第 k 成分
+     * - wCompIndex[wi * n + k] : その値が wComponentValues[k] の何番目か
+     */
+    _buildWIndex() {
+        const n = this.numIssues;
+        
+        this.wComponentValues = [];
+        for (let k = 0; k < n; k++) {
+            const values = Array.from(new Set(this.wGrid.map(w => w[k]))).sort((a, b) => a - b);
+            this.wComponentValues.push(values);
+        }
+        
+        this.wFlat = new Float64Array(this.Nw * n);
+        this.wCompIndex = new Uint16Array(this.Nw * n);
+        for (let wi = 0; wi < this.Nw; wi++) {
+            for (let k = 0; k < n; k++) {
+                const val = this.wGrid[wi][k];
+                this.wFlat[wi * n + k] = val;
+                this.wCompIndex[wi * n + k] = this.wComponentValues[k].indexOf(val);
+            }
+        }
+    }
+    
+    _initUniformPrior() {
+        this.distribution.fill(1 / this.size);
+        this.logDistribution.fill(-Math.log(this.size));
+    }
+    
+    /** 事前分布（一様分布）に戻す */
+    resetToPrior() {
+        this._initUniformPrior();
+    }
+    
+    /** セル (ti, wi, ei, ri) のインデックス */
+    index(ti, wi, ei = 0, ri = 0) {
+        return ((ei * this.Nr + ri) * this.Nt + ti) * this.Nw + wi;
+    }
+    
+    /** インデックスからセルの各次元の位置 { ti, wi, ei, ri } を求める（index の逆） */
+    decodeIndex(i) {
+        const wi = i % this.Nw;
+        const row = (i - wi) / this.Nw;
+        const ti = row % this.Nt;
+        const block = (row - ti) / this.Nt;
+        const ri = block % this.Nr;
+        return { ti, wi, ei: (block - ri) / this.Nr, ri };
+    }
+    
+    /** 現在の同時分布を取得（フラットな Float64Array） */
+    getJointDistribution() {
+        return this.distribution;
+    }
+    
+    /** 現在の同時分布の対数を取得（フラットな Float64Array） */
+    getLogJointDistribution() {
+        return this.logDistribution;
+    }
+    
+    /**
+     * 対数の同時分布を log-sum-exp でその場で正規化し、distribution を再計算
+     * 
+     * @returns {number} 正規化定数の対数 log Σ exp(logDistribution)
+     */
+    normalizeLogInPlace() {
+        const logDist = this.logDistribution;
+        const logZ = logsumexp(logDist);
+        
+        if (!isFinite(logZ)) {
+            throw new Error('事後分布が全ての仮説で 0 になりました');
+        }
+        for (let i = 0; i < this.size; i++) {
+            logDist[i] -= logZ;
+            this.distribution[i] = Math.exp(logDist[i]);
+        }
+        return logZ;
+    }
+    
+    /** (θ_ti, w_wi) の事後確率 P(θ, w) = Σ_{ε,r} P(θ, w, ε, r) */
+    getCellProbability(ti, wi) {
+        let prob = 0;
+        for (let ei = 0; ei < this.Ne; ei++) {
+            for (let ri = 0; ri < this.Nr; ri++) prob += this.distribution[this.index(ti, wi, ei, ri)];
+        }
+        return prob;
+    }
+    
+    /**
+     * (θ, w) の周辺分布 P(θ, w) = Σ_{ε,r} P(θ, w, ε, r)
+     * （内部バッファ、インデックスは ti * Nw + wi。呼び出し側で保持しないこと）
+     */
+    _computeMarginalThetaW() {
+        const dist = this.distribution;
+        const blockSize = this.Nt * this.Nw;
+        if (!this._cellBuffer) this._cellBuffer = new Float64Array(blockSize);
+        const marginal = this._cellBuffer;
+        marginal.fill(0);
+        
+        for (let block = 0; block < this.Ne * this.Nr; block++) {
+            const base = block * blockSize;
+            for (let i = 0; i < blockSize; i++) marginal[i] += dist[base + i];
+        }
+        return marginal;
+    }
+    
+    /**
+     * 2つの次元の同時周辺分布 P(a, b)（ε, r と残りの次元は周辺化）
+     * 
+     * @param {string} dimA - 'theta' または w の成分 'w1', ..., 'wn'
+     * @param {string} dimB - 同上（dimA と異なるもの）
+     * @returns {Float64Array[]} probs[ai][bi]（a, b の値は getDimensionValues の順）
+     */
+    getPairMarginal(dimA, dimB) {
+        const marginal = this._computeMarginalThetaW();
+        const indexA = this._dimensionIndexer(dimA);
+        const indexB = this._dimensionIndexer(dimB);
+        const probs = this.getDimensionValues(dimA).map(() => new Float64Array(this.getDimensionValues(dimB).length));
+        
+        for (let ti = 0; ti < this.Nt; ti++) {
+            for (let wi = 0; wi < this.Nw; wi++) {
+                probs[indexA(ti, wi)][indexB(ti, wi)] += marginal[ti * this.Nw + wi];
+            }
+        }
+        return probs;
+    }
+    
+    /**
+     * 1つの次元の値を固定したときの条件付き周辺分布
+     *   例: P(w_k | θ = θ_i) = P(θ_i, w_k) / P(θ_i)
+     * 
+     * @param {string} dim - 条件にする次元 'theta' または 'w1', ..., 'wn'
+     * @param {number} valueIndex - getDimensionValues(dim) での値のインデックス
+     * @returns {{probability: number, theta: Float64Array, components: Float64Array[], noise: Float64Array, tolerance: Float64Array}}
+     *          probability は条件の事後確率。0 の場合、各周辺分布は全て 0
+     */
+    getConditionalMarginals(dim, valueIndex) {
+        const dist = this.distribution;
+        const n = this.numIssues;
+        const matches = this._dimensionIndexer(dim);
+        const theta = new Float64Array(this.Nt);
+        const components = this.wComponentValues.map(values => new Float64Array(values.length));
+        const noise = new Float64Array(this.Ne);
+        const tolerance = new Float64Array(this.Nr);
+        let probability = 0;
+        
+        for (let ei = 0; ei < this.Ne; ei++) {
+            for (let ri = 0; ri < this.Nr; ri++) {
+                for (let ti = 0; ti < this.Nt; ti++) {
+                    const base = this.index(ti, 0, ei, ri);
+                    for (let wi = 0; wi < this.Nw; wi++) {
+                        const prob = dist[base + wi];
+                        if (prob === 0 || matches(ti, wi) !== valueIndex) continue;
+                        
+                        probability += prob;
+                        theta[ti] += prob;
+                        noise[ei] += prob;
+                        tolerance[ri] += prob;
+                        for (let k = 0; k < n; k++) components[k][this.wCompIndex[wi * n + k]] += prob;
+                    }
+                }
+            }
+        }
+        
+        if (probability > 0) {
+            for (const marginal of [theta, ...components, noise, tolerance]) {
+                for (let i = 0; i < marginal.length; i++) marginal[i] /= probability;
+            }
+        }
+        return { probability, theta, components, noise, tolerance };
+    }
+    
+    /** 次元 'theta' / 'wk' のグリッド（θ はラジアン） */
+    getDimensionValues(dim) {
+        return dim === 'theta' ? this.thetaValues : this.wComponentValues[this._wComponent(dim)];
+    }
+    
+    /** 'wk' → 成分のインデックス k - 1 */
+    _wComponent(dim) {
+        const k = Number(dim.slice(1)) - 1;
+        if (!/^w\d+$/.test(dim) || k < 0 || k >= this.numIssues) {
+            throw new Error(`Unknown dimension: ${dim}`);
+        }
+        return k;
+    }
+    
+    /** セル (ti, wi) がその次元のグリッドの何番目かを返す関数 */
+    _dimensionIndexer(dim) {
+        if (dim === 'theta') return ti => ti;
+        
+        const k = this._wComponent(dim);
+        const n = this.numIssues;
+        return (ti, wi) => this.wCompIndex[wi * n + k];
+    }
+    
+    /**
+     * 事後確率 P(θ, w) の上位 k 個のセル（先頭が同時 MAP 推定）
+     * 
+     * @returns {{ti: number, wi: number, probability: number}[]} 確率の降順
+     */
+    getTopCells(k) {
+        const marginal = this._computeMarginalThetaW();
+        const top = [];  // 確率の降順に最大 k 個
+        
+        for (let i = 0; i < marginal.length; i++) {
+            const prob = marginal[i];
+            if (top.length === k && prob <= top[k - 1].probability) continue;
+            
+            let pos = top.length;
+            while (pos > 0 && top[pos - 1].probability < prob) pos--;
+            top.splice(pos, 0, { ti: Math.floor(i / this.Nw), wi: i % this.Nw, probability: prob });
+            if (top.length > k) top.pop();
+        }
+        return top;
+    }
+    
+    /** 同時分布のエントロピー H[P(θ, w, ε, r)]（ビット） */
+    getEntropy() {
+        const dist = this.distribution;
+        let h = 0;
+        for (let i = 0; i < this.size; i++) {
+            if (dist[i] > 0) h -= dist[i] * Math.log2(dist[i]);
+        }
+        return h;
+    }
+    
+    /**
+     * 事後分布に比例してセルを抽出（系統抽出）
+     * 同じセルは重みにまとめ、セル数が numSamples 以下なら全セルを確率そのままの重みで返す
+     * 
+     * @param {number} numSamples - 抽出数
+     * @param {function(): number} [random] - [0, 1) の乱数
+     * @returns {{indices: Int32Array, weights: Float64Array}} 重みの合計は 1
+     */
+    sampleCells(numSamples, random = Math.random) {
+        const dist = this.distribution;
+        
+        if (this.size <= numSamples) {
+            const indices = Int32Array.from({ length: this.size }, (_, i) => i);
+            return { indices, weights: Float64Array.from(dist) };
+        }
+        
+        const counts = new Map();
+        let cumulative = 0;
+        let next = random() / numSamples;
+        for (let i = 0; i < this.size && next < 1; i++) {
+            cumulative += dist[i];
+            while (next < cumulative && next < 1) {
+                counts.set(i, (counts.get(i) || 0) + 1);
+                next += 1 / numSamples;
+            }
+        }
+        
+        const total = Array.from(counts.values()).reduce((a, b) => a + b, 0);
+        return {
+            indices: Int32Array.from(counts.keys()),
+            weights: Float64Array.from(counts.values(), c => c / total)
+        };
+    }
+    
+    /** θ の周辺分布 P(θ) = Σ_{w,ε,r} P(θ, w, ε, r)（内部バッファを返すので呼び出し側で保持しないこと） */
+    _computeMarginalTheta() {
+        const dist = this.distribution;
+        const marginal = this._thetaBuffer;
+        marginal.fill(0);
+        
+        // (ε, r) ごとの Nt * Nw のブロックを足し合わせる
+        for (let block = 0; block < this.Ne * this.Nr; block++) {
+            for (let ti = 0; ti < this.Nt; ti++) {
+                let sum = 0;
+                const base = (block * this.Nt + ti) * this.Nw;
+                for (let wi = 0; wi < this.Nw; wi++) sum += dist[base + wi];
+                marginal[ti] += sum;
+            }
+        }
+        return marginal;
+    }
+    
+    /** θ の周辺分布 P(θ) = Σ_{w,ε,r} P(θ, w, ε, r) */
+    getMarginalTheta() {
+        return Array.from(this._computeMarginalTheta());
+    }
+    
+    /** w の周辺分布 P(w) = Σ_{θ,ε,r} P(θ, w, ε, r)（内部バッファを返すので呼び出し側で保持しないこと） */
+    _computeMarginalW() {
+        const dist = this.distribution;
+        const marginal = this._wBuffer;
+        marginal.fill(0);
+        
+        for (let row = 0; row < this.size / this.Nw; row++) {
+            const base = row * this.Nw;
+            for (let wi = 0; wi < this.Nw; wi++) marginal[wi] += dist[base + wi];
+        }
+        return marginal;
+    }
+    
+    /** w の周辺分布 P(w) = Σ_{θ,ε,r} P(θ, w, ε, r) */
+    getMarginalW() {
+        return Array.from(this._computeMarginalW());
+    }
+    
+    /** ε の周辺分布 P(ε) = Σ_{θ,w,r} P(θ, w, ε, r)（内部バッファを返すので呼び出し側で保持しないこと） */
+    _computeMarginalNoise() {
+        const dist = this.distribution;
+        const marginal = this._noiseBuffer;
+        
+        for (let ei = 0; ei < this.Ne; ei++) {
+            let sum = 0;
+            const base = ei * this.sliceSize;
+            for (let i = 0; i < this.sliceSize; i++) sum += dist[base + i];
+            marginal[ei] = sum;
+        }
+        return marginal;
+    }
+    
+    /** ε の周辺分布 P(ε) = Σ_{θ,w,r} P(θ, w, ε, r) */
+    getMarginalNoise() {
+        return Array.from(this._computeMarginalNoise());
+    }
+    
+    /** r の周辺分布 P(r) = Σ_{θ,w,ε} P(θ, w, ε, r)（内部バッファを返すので呼び出し側で保持しないこと） */
+    _computeMarginalTolerance() {
+        const dist = this.distribution;
+        const marginal = this._toleranceBuffer;
+        const blockSize = this.Nt * this.Nw;
+        marginal.fill(0);
+        
+        for (let ei = 0; ei < this.Ne; ei++) {
+            for (let ri = 0; ri < this.Nr; ri++) {
+                let sum = 0;
+                const base = (ei * this.Nr + ri) * blockSize;
+                for (let i = 0; i < blockSize; i++) sum += dist[base + i];
+                marginal[ri] += sum;
+            }
+        }
+        return marginal;
+    }
+    
+    /** r の周辺分布 P(r) = Σ_{θ,w,ε} P(θ, w, ε, r) */
+    getMarginalTolerance() {
+        return Array.from(this._computeMarginalTolerance());
+    }
+    
+    /** w の各成分の周辺分布を内部バッファに計算 */
+    _computeComponentMarginals() {
+        const n = this.numIssues;
+        const wMarginal = this._computeMarginalW();
+        
+        for (const buf of this._compBuffers) buf.fill(0);
+        for (let wi = 0; wi < this.Nw; wi++) {
+            const prob = wMarginal[wi];
+            for (let k = 0; k < n; k++) {
+                this._compBuffers[k][this.wCompIndex[wi * n + k]] += prob;
+            }
+        }
+        return this._compBuffers;
+    }
+    
+    /**
+     * w の各成分 (w1, ..., wn) ごとの周辺分布を計算
+     * 例: P(w1 = k) = Σ_{w: w[0]=k} P(w)
+     */
+    getComponentWiseMarginals() {
+        const compMarginals = this._computeComponentMarginals();
+        
+        return compMarginals.map((probs, comp) => ({
+            component: comp,
+            values: [...this.wComponentValues[comp]],
+            probs: Array.from(probs)
+        }));
+    }
+    
+    /**
+     * 事後分布の不確かさ
+     * - entropy: 同時分布のエントロピー、thetaEntropy / wEntropies: θ と w の各成分の周辺分布のエントロピー（ビット）
+     * - thetaHDI / wHDIs: 周辺分布の最高密度区間 [下限, 上限]（θ はラジアン）
+     * 
+     * @param {number} [mass] - 区間に含める確率
+     */
+    getUncertainty(mass = CONFIG.HDI_MASS) {
+        const thetaMarginal = this._computeMarginalTheta();
+        const thetaEntropy = entropyBits(thetaMarginal);
+        const thetaHDI = highestDensityInterval(this.thetaValues, thetaMarginal, mass);
+        
+        const compMarginals = this._computeComponentMarginals();
+        return {
+            entropy: this.getEntropy(),
+            thetaEntropy,
+            wEntropies: compMarginals.map(probs => entropyBits(probs)),
+            thetaHDI,
+            wHDIs: compMarginals.map((probs, k) => highestDensityInterval(this.wComponentValues[k], probs, mass))
+        };
+    }
+    
+    /** 事後平均 E[θ], E[w], E[ε], E[r] を計算 */
+    getPosteriorMean() {
+        // E[θ] = Σ_i θ_i * P(θ_i)
+        const thetaMarginal = this._computeMarginalTheta();
+        let total = 0;
+        let thetaMean = 0;
+        for (let ti = 0; ti < this.Nt; ti++) {
+            total += thetaMarginal[ti];
+            thetaMean += this.thetaValues[ti] * thetaMarginal[ti];
+        }
+        
+        // E[w_k] = Σ_v v * P(w_k = v)
+        const compMarginals = this._computeComponentMarginals();
+        const wMean = compMarginals.map((probs, k) => {
+            let mean = 0;
+            for (let vi = 0; vi < probs.length; vi++) {
+                mean += this.wComponentValues[k][vi] * probs[vi];
+            }
+            return mean / total;
+        });
+        
+        // E[ε] = Σ_k ε_k * P(ε_k)
+        const noiseMarginal = this._computeMarginalNoise();
+        let noiseMean = 0;
+        for (let ei = 0; ei < this.Ne; ei++) {
+            noiseMean += this.noiseValues[ei] * noiseMarginal[ei];
+        }
+        
+        // E[r] = Σ_l r_l * P(r_l)
+        const toleranceMarginal = this._computeMarginalTolerance();
+        let toleranceMean = 0;
+        for (let ri = 0; ri < this.Nr; ri++) {
+            toleranceMean += this.toleranceValues[ri] * toleranceMarginal[ri];
+        }
+        
+        return {
+            thetaMean: thetaMean / total,
+            wMean,
+            noiseMean: noiseMean / total,
+            toleranceMean: toleranceMean / total
+        };
+    }
+}
+
+// =============================================================================
+// BayesianInferenceEngine クラス
+// 感情予測とベイズ更新を担当
+// =============================================================================
+
+class BayesianInferenceEngine {
+    constructor(paramSpace, Q, wSelf, candX, emotionModelName = CONFIG.EMOTION_MODEL) {
+        this.paramSpace = paramSpace;
+        this.Q = Q;
+        this.wSelf = wSelf;
+        this.candX = candX;
+        
+        // 感情モデル（グリッド全体の前計算もここで行う）
+        this.emotionModelName = emotionModelName;
+        this.emotionModel = createEmotionModel(emotionModelName, Q, wSelf);
+        this.emotionModel.prepare(paramSpace);
+        
+        // ε ごとの対数尤度表 log P(e_obs | e_pred, ε)
+        this.setLikelihood(CONFIG.LIKELIHOOD_MODEL);
+        
+        // (r, θ, w) ごとの予測感情・w ごとの相手効用・更新前の確率の作業用バッファ
+        this._predicted = new Int8Array(paramSpace.sliceSize);
+        this._otherDot = new Float64Array(paramSpace.Nw);
+        this._priorMass = null;  // 最初の更新で確保
+        
+        // 直前の観測で除外された仮説の内訳（summarizeElimination）
+        this.lastElimination = null;
+    }
+    
+    /** 尤度モデルを切り替える（ε のグリッドの各値について対数尤度表を作り直す） */
+    setLikelihood(modelName) {
+        this.logLikelihoods = this.paramSpace.noiseValues.map(noise => buildLogLikelihoodTable(modelName, noise));
+        
+        // 期待情報利得の計算用: 尤度表（確率）と、予測感情ごとの観測感情のエントロピー H[P(e_obs | e_pred, ε)]（ビット）
+        this.likelihoods = this.logLikelihoods.map(table => table.map(Math.exp));
+        this.rowEntropies = this.logLikelihoods.map(table => {
+            const entropies = new Float64Array(NUM_EMOTIONS);
+            for (let p = 0; p < NUM_EMOTIONS; p++) {
+                for (let o = 0; o < NUM_EMOTIONS; o++) {
+                    const logP = table[p * NUM_EMOTIONS + o];
+                    entropies[p] -= Math.exp(logP) * logP / Math.LN2;
+                }
+            }
+            return entropies;
+        });
+    }
+    
+    /** プレイヤー側の効用 wSelf・x */
+    _selfDot(x) {
+        let sum = 0;
+        for (let k = 0; k < this.Q.length; k++) sum += this.wSelf[k] * x[k];
+        return sum;
+    }
+    
+    /** w_wi での相手側の効用 w・(Q - x) */
+    _otherDotAt(wi, x) {
+        const n = this.Q.length;
+        const wFlat = this.paramSpace.wFlat;
+        let sum = 0;
+        for (let k = 0; k < n; k++) sum += wFlat[wi * n + k] * (this.Q[k] - x[k]);
+        return sum;
+    }
+    
+    /**
+     * 特定の (θ, w, r, x) に対する予測感情を計算
+     * インデックスベースで高速にアクセス
+     */
+    predictEmotion(thetaIndex, wIndex, x, toleranceIndex = 0) {
+        return this.emotionModel.cellEmotion(
+            thetaIndex, wIndex,
+            this._selfDot(x), this._otherDotAt(wIndex, x),
+            this.paramSpace.toleranceValues[toleranceIndex]
+        );
+    }
+    
+    /**
+     * オファー x に対する全セルの予測感情を計算
+     * 結果は内部バッファ（Int8Array, インデックスは (ri * Nt + ti) * Nw + wi）で、次の呼び出しで上書きされる
+     * 
+     * @param {number[]} x - オファー
+     * @param {function(number, number)} [onProgress] - (r, θ) の行ごとに (完了行数, Nr * Nt) で呼ばれる
+     */
+    predictAllEmotions(x, onProgress = null) {
+        const { Nt, Nw, Nr, toleranceValues } = this.paramSpace;
+        const model = this.emotionModel;
+        const out = this._predicted;
+        const otherDot = this._otherDot;
+        const selfDot = this._selfDot(x);
+        
+        // w・(Q - x) は θ によらないので先に計算
+        for (let wi = 0; wi < Nw; wi++) otherDot[wi] = this._otherDotAt(wi, x);
+        
+        for (let ri = 0; ri < Nr; ri++) {
+            const tolerance = toleranceValues[ri];
+            
+            for (let ti = 0; ti < Nt; ti++) {
+                const base = (ri * Nt + ti) * Nw;
+                
+                for (let wi = 0; wi < Nw; wi++) {
+                    out[base + wi] = model.cellEmotion(ti, wi, selfDot, otherDot[wi], tolerance);
+                }
+                if (onProgress) onProgress(ri * Nt + ti + 1, Nr * Nt);
+            }
+        }
+        return out;
+    }
+    
+    /**
+     * 真のパラメータ (trueTheta, trueW, trueTolerance) での感情を計算
+     * オファー x に対するエージェントの反応をシミュレート
+     */
+    computeTrueEmotion(x, trueTheta, trueW, trueTolerance = CONFIG.EMOTION_RANGE_MAX) {
+        return this.emotionModel.emotion(x, trueTheta, trueW, trueTolerance);
+    }
+    
+    /**
+     * 事後予測分布 P(e | x, これまでの観測)
+     *   = Σ_cell P(cell | D) · P(e | e_pred(cell, x), ε)
+     * 
+     * @param {number[]} x - オファー
+     * @returns {number[]} EMOTION_VALUES の順の確率
+     */
+    predictiveDistribution(x) {
+        const dist = this.paramSpace.getJointDistribution();
+        const { sliceSize } = this.paramSpace;
+        const predicted = this.predictAllEmotions(x);
+        const predictive = new Array(NUM_EMOTIONS).fill(0);
+        const mass = new Float64Array(NUM_EMOTIONS);
+        
+        for (let ei = 0; ei < this.likelihoods.length; ei++) {
+            // ε ごとに予測感情別の確率をまとめてから尤度を掛ける
+            const offset = ei * sliceSize;
+            mass.fill(0);
+            for (let i = 0; i < sliceSize; i++) {
+                mass[emotionIndex(predicted[i])] += dist[offset + i];
+            }
+            
+            const table = this.likelihoods[ei];
+            for (let p = 0; p < NUM_EMOTIONS; p++) {
+                for (let o = 0; o < NUM_EMOTIONS; o++) {
+                    predictive[o] += mass[p] * table[p * NUM_EMOTIONS + o];
+                }
+            }
+        }
+        return predictive;
+    }
+    
+    /**
+     * 仮説 (θ_ti, w_wi) のもとでの感情の予測分布
+     *   P(e | x, θ, w, D) = Σ_{ε,r} P(ε, r | θ, w, D) · P(e | e_pred(θ, w, r, x), ε)
+     * （このセルの確率が 0 の場合は ε, r を一様として扱う）
+     * 
+     * @returns {number[]} EMOTION_VALUES の順の確率
+     */
+    cellPredictiveDistribution(ti, wi, x) {
+        const { Ne, Nr, distribution } = this.paramSpace;
+        const total = this.paramSpace.getCellProbability(ti, wi);
+        const predictive = new Array(NUM_EMOTIONS).fill(0);
+        
+        for (let ri = 0; ri < Nr; ri++) {
+            const row = emotionIndex(this.predictEmotion(ti, wi, x, ri)) * NUM_EMOTIONS;
+            for (let ei = 0; ei < Ne; ei++) {
+                const weight = total > 0 ? distribution[this.paramSpace.index(ti, wi, ei, ri)] / total : 1 / (Ne * Nr);
+                const table = this.likelihoods[ei];
+                for (let o = 0; o < NUM_EMOTIONS; o++) predictive[o] += weight * table[row + o];
+            }
+        }
+        return predictive;
+    }
+    
+    /**
+     * 抽出したセルそれぞれのオファー x に対する予測感情（emotionIndex）を計算
+     * 
+     * @param {number[]} x - オファー
+     * @param {{indices: Int32Array}} cells - 事後分布から抽出したセル（sampleCells）
+     * @returns {Int8Array}
+     */
+    predictCells(x, cells) {
+        const { Nw, toleranceValues } = this.paramSpace;
+        const selfDot = this._selfDot(x);
+        const out = new Int8Array(cells.indices.length);
+        
+        for (let c = 0; c < cells.indices.length; c++) {
+            const { ti, wi, ri } = this.paramSpace.decodeIndex(cells.indices[c]);
+            out[c] = emotionIndex(this.emotionModel.cellEmotion(
+                ti, wi, selfDot, this._otherDotAt(wi, x), toleranceValues[ri]
+            ));
+        }
+        return out;
+    }
+    
+    /**
+     * 複数のオファーの感情をまとめて観測したときの期待情報利得（ビット）
+     * 
+     * 観測 (e_1, ..., e_d) とパラメータの相互情報量で、同時事後分布のエントロピーの期待減少量に等しい:
+     *   IG = H[P(e_1, ..., e_d | D)] - Σ_cell P(cell | D) · Σ_j H[P(e_j | cell, x_j)]
+     * （各オファーの感情はパラメータが決まれば独立）。
+     * ε と予測感情の組が同じセルは重みをまとめてから計算する
+     * 
+     * @param {Int8Array[]} predictions - オファーごとの predictCells の結果
+     * @param {{indices: Int32Array, weights: Float64Array}} cells - predictCells に渡したセル
+     */
+    jointInformationGain(predictions, cells) {
+        const d = predictions.length;
+        const { Nt, Nw, Nr } = this.paramSpace;
+        const blockSize = Nr * Nt * Nw;
+        const numOutcomes = NUM_EMOTIONS ** d;
+        
+        // (ε, e_pred_1, ..., e_pred_d) ごとの重み
+        const mass = new Map();
+        for (let c = 0; c < cells.indices.length; c++) {
+            let key = Math.floor(cells.indices[c] / blockSize);
+            for (let j = 0; j < d; j++) key = key * NUM_EMOTIONS + predictions[j][c];
+            mass.set(key, (mass.get(key) || 0) + cells.weights[c]);
+        }
+        
+        // 観測 (e_1, ..., e_d) の予測分布と条件付きエントロピー
+        const predictive = new Float64Array(numOutcomes);
+        const buffer = new Float64Array(numOutcomes);
+        const predicted = new Int8Array(d);
+        let conditionalEntropy = 0;
+        
+        for (const [key, m] of mass) {
+            let rest = key;
+            for (let j = d - 1; j >= 0; j--) {
+                predicted[j] = rest % NUM_EMOTIONS;
+                rest = (rest - predicted[j]) / NUM_EMOTIONS;
+            }
+            const table = this.likelihoods[rest];
+            
+            // P(e_1, ..., e_d | cell) = Π_j P(e_j | e_pred_j, ε) を1オファーずつ展開
+            buffer[0] = m;
+            let length = 1;
+            for (let j = 0; j < d; j++) {
+                conditionalEntropy += m * this.rowEntropies[rest][predicted[j]];
+                const row = predicted[j] * NUM_EMOTIONS;
+                for (let t = length - 1; t >= 0; t--) {
+                    const prob = buffer[t];
+                    for (let o = NUM_EMOTIONS - 1; o >= 0; o--) {
+                        buffer[t * NUM_EMOTIONS + o] = prob * table[row + o];
+                    }
+                }
+                length *= NUM_EMOTIONS;
+            }
+            for (let t = 0; t < numOutcomes; t++) predictive[t] += buffer[t];
+        }
+        
+        let predictiveEntropy = 0;
+        for (let t = 0; t < numOutcomes; t++) {
+            if (predictive[t] > 0) predictiveEntropy -= predictive[t] * Math.log2(predictive[t]);
+        }
+        return Math.max(0, predictiveEntropy - conditionalEntropy);
+    }
+    
+    /**
+     * 期待情報利得（ビット）
+     * オファー x の感情を観測したときの同時事後分布のエントロピーの期待減少量
+     * 
+     * @param {number[]} x - オファー
+     * @param {{indices: Int32Array, weights: Float64Array}} cells - 事後分布から抽出したセル（sampleCells）
+     */
+    expectedInformationGain(x, cells) {
+        return this.jointInformationGain([this.predictCells(x, cells)], cells);
+    }
+    
+    /**
+     * 期待情報利得が大きいオファーを推薦
+     * 
+     * @param {number} k - 推薦する数
+     * @param {function(number, number)} [onProgress] - オファーごとに (評価済み数, 候補数) で呼ばれる
+     * @param {function(): number} [random] - [0, 1) の乱数（仮説の抽出）
+     * @returns {{offer: number[], gain: number}[]} 期待情報利得（ビット）の降順
+     */
+    recommendOffers(k, onProgress = null, random = Math.random) {
+        const cells = this.paramSpace.sampleCells(CONFIG.EIG_SAMPLES, random);
+        const scored = this.candX.map((offer, i) => {
+            const gain = this.expectedInformationGain(offer, cells);
+            if (onProgress) onProgress(i + 1, this.candX.length);
+            return { offer: [...offer], gain };
+        });
+        
+        return scored.sort((a, b) => b.gain - a.gain).slice(0, k);
+    }
+    
+    /**
+     * 先読み計画: depth 個のオファーの組を、まとめて観測したときの期待情報利得で選ぶ
+     * 
+     * 単独では情報の少ないオファーが他と組み合わせて効く場合を拾うため、組で評価する。
+     * 全候補の組み合わせは多すぎるので、候補を
+     *   単独の期待情報利得の上位 LOOKAHEAD_POOL 件 + 残りから無作為に LOOKAHEAD_RANDOM 件
+     * に絞ってから全ての組を評価する（順序によらず観測の情報量は同じなので組合せのみ）
+     * 
+     * @param {number} depth - 組にするオファーの数（2〜3 を想定、1 なら貪欲法と同じ）
+     * @param {function(number, number)} [onProgress] - 評価の進捗 (完了数, 総数)
+     * @param {function(): number} [random] - 候補の無作為抽出に使う [0, 1) の乱数
+     * @returns {{offers: number[][], gain: number}} 単独の期待情報利得の降順に並べたオファーと、組の期待情報利得（ビット）
+     */
+    planOffers(depth, onProgress = null, random = Math.random) {
+        const cells = this.paramSpace.sampleCells(CONFIG.EIG_SAMPLES, random);
+        const numCombos = pool => binomial(pool, depth);
+        
+        // 1. 全オファーの単独の期待情報利得（予測は組の評価に使い回す）
+        const scored = this.candX.map(offer => {
+            const prediction = this.predictCells(offer, cells);
+            return { offer, prediction, gain: this.jointInformationGain([prediction], cells) };
+        }).sort((a, b) => b.gain - a.gain);
+        
+        // 2. 候補を絞る
+        const pool = scored.slice(0, CONFIG.LOOKAHEAD_POOL);
+        const rest = scored.slice(CONFIG.LOOKAHEAD_POOL);
+        for (let n = 0; n < CONFIG.LOOKAHEAD_RANDOM && rest.length > 0; n++) {
+            pool.push(rest.splice(Math.floor(random() * rest.length), 1)[0]);
+        }
+        
+        // 3. depth 個の組を全て評価
+        const total = numCombos(pool.length);
+        let best = { members: pool.slice(0, depth), gain: -Infinity };
+        let done = 0;
+        for (const combo of combinations(pool.length, depth)) {
+            const members = combo.map(i => pool[i]);
+            const gain = this.jointInformationGain(members.map(m => m.prediction), cells);
+            if (gain > best.gain) best = { members, gain };
+            if (onProgress) onProgress(++done, total);
+        }
+        
+        return {
+            offers: best.members.map(m => [...m.offer]),
+            gain: Math.max(0, best.gain)
+        };
+    }
+    
+    /**
+     * ベイズ更新
+     * 観測された感情をもとに事後分布を更新
+     * 
+     * log P(θ, w, ε | e, x) = log P(e | θ, w, ε, x) + log P(θ, w, ε) - log P(e | x)
+     * 
+     * 対数で積算するため、予測と矛盾する観測が続いても事後分布がアンダーフローしない
+     * 予測感情は ε によらないので、ε ごとに尤度表だけを替えて同じ (r, θ, w) の予測を使う
+     * 
+     * @param {function(number, number)} [onProgress] - 進捗通知（predictAllEmotions を参照）
+     * @returns {number} このラウンドの対数エビデンス log P(e | x, これまでの観測)
+     */
+    update(observedEmotion, xProposal, onProgress = null) {
+        const logDist = this.paramSpace.getLogJointDistribution();
+        const { sliceSize } = this.paramSpace;
+        const observedIndex = emotionIndex(observedEmotion);
+        const priorMass = this._computeSliceMass();
+        
+        // 全 (r, θ, w) の予測感情を計算
+        const predicted = this.predictAllEmotions(xProposal, onProgress);
+        
+        for (let ei = 0; ei < this.logLikelihoods.length; ei++) {
+            const table = this.logLikelihoods[ei];
+            const offset = ei * sliceSize;
+            for (let i = 0; i < sliceSize; i++) {
+                // 対数尤度: log P(e_observed | θ, w, ε, r, x)
+                logDist[offset + i] += table[emotionIndex(predicted[i]) * NUM_EMOTIONS + observedIndex];
+            }
+        }
+        
+        // 正規化（事前分布は正規化済みなので、正規化定数がそのままエビデンスになる）
+        const logEvidence = this.paramSpace.normalizeLogInPlace();
+        this.lastElimination = this.summarizeElimination(priorMass, predicted);
+        return logEvidence;
+    }
+    
+    /**
+     * 識別できない仮説の同値類
+     * 全てのオファー候補 candX に対して同じ感情を予測する (r, θ, w) を同じ類にまとめる
+     * （事後分布と同じ許容幅の候補の上で求める。ε は予測感情によらないので含めない）
+     * 
+     * オファーごとに予測感情で類を細分していく。1つだけの類になった仮説はそれ以上分かれないので、
+     * 以降のオファーでは他の仮説と同じ類にあるものだけを調べる
+     * 
+     * @param {function(number, number)} [onProgress] - オファーごとに (完了数, オファー数) で呼ばれる
+     * @returns {{classIds: Int32Array, numClasses: number, sizes: Int32Array}}
+     *          classIds[(ri * Nt + ti) * Nw + wi] は 0 〜 numClasses - 1、sizes は類ごとの仮説の数
+     */
+    computeEquivalenceClasses(onProgress = null) {
+        const { Nt, Nw, toleranceValues, sliceSize: numCells } = this.paramSpace;
+        const cellSize = Nt * Nw;
+        const model = this.emotionModel;
+        const otherDot = this._otherDot;
+        
+        const classIds = new Int32Array(numCells);
+        const sizes = new Int32Array(numCells);
+        sizes[0] = numCells;
+        let numClasses = 1;
+        
+        // 他の仮説と同じ類にある仮説と、各仮説の (θ, w, r) のインデックス・許容幅
+        const active = new Int32Array(numCells);
+        const cellT = new Int32Array(numCells);
+        const cellW = new Int32Array(numCells);
+        const cellTolerance = new Float64Array(numCells);
+        for (let i = 0; i < numCells; i++) {
+            active[i] = i;
+            cellT[i] = Math.floor(i / Nw) % Nt;
+            cellW[i] = i % Nw;
+            cellTolerance[i] = toleranceValues[Math.floor(i / cellSize)];
+        }
+        let numActive = numCells;
+        
+        // (類, 予測感情) → 細分後の類。類で最初に現れた感情は元の番号を引き継ぐ
+        const lookup = new Int32Array(numCells * NUM_EMOTIONS).fill(-1);
+        const touched = new Int32Array(numCells);
+        const classStamps = new Int32Array(numCells);
+        
+        // 似たオファーが続くと類がなかなか分かれないので、candX を互いに素な歩幅で飛び飛びに調べる
+        // （最終的な類は調べる順序によらない）
+        const numOffers = this.candX.length;
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        let step = Math.max(1, Math.round(numOffers * 0.618));
+        while (gcd(step, numOffers) !== 1) step++;
+        
+        for (let xi = 0; xi < numOffers && numActive > 0; xi++) {
+            const x = this.candX[(xi * step) % numOffers];
+            const selfDot = this._selfDot(x);
+            for (let wi = 0; wi < Nw; wi++) otherDot[wi] = this._otherDotAt(wi, x);
+            
+            const stamp = xi + 1;
+            let numTouched = 0;
+            for (let j = 0; j < numActive; j++) {
+                const cell = active[j];
+                const wi = cellW[cell];
+                const c = classIds[cell];
+                const key = c * NUM_EMOTIONS + emotionIndex(model.cellEmotion(cellT[cell], wi, selfDot, otherDot[wi], cellTolerance[cell]));
+                
+                if (lookup[key] < 0) {
+                    if (classStamps[c] !== stamp) {
+                        classStamps[c] = stamp;
+                        lookup[key] = c;
+                    } else {
+                        lookup[key] = numClasses++;
+                    }
+                    touched[numTouched++] = key;
+                }
+                const id = lookup[key];
+                if (id !== c) {
+                    classIds[cell] = id;
+                    sizes[c]--;
+                    sizes[id]++;
+                }
+            }
+            for (let j = 0; j < numTouched; j++) lookup[touched[j]] = -1;
+            
+            let kept = 0;
+            for (let j = 0; j < numActive; j++) {
+                if (sizes[classIds[active[j]]] > 1) active[kept++] = active[j];
+            }
+            numActive = kept;
+            if (onProgress) onProgress(xi + 1, numOffers);
+        }
+        if (onProgress) onProgress(numOffers, numOffers);
+        return { classIds, numClasses, sizes: sizes.slice(0, numClasses) };
+    }
+    
+    _computeSliceMass() {
+        const dist = this.paramSpace.distribution;
+        const { sliceSize, Ne } = this.paramSpace;
+        if (!this._priorMass) this._priorMass = new Float64Array(sliceSize);
+        const mass = this._priorMass;
+        
+        mass.set(dist.subarray(0, sliceSize));
+        for (let ei = 1; ei < Ne; ei++) {
+            const offset = ei * sliceSize;
+            for (let i = 0; i < sliceSize; i++) mass[i] += dist[offset + i];
+        }
+        return mass;
+    }
+    
+    /**
+     * 観測で除外された仮説 (θ, w) の内訳を、各仮説が予測していた感情別に集計
+     * ε と許容幅 r を周辺化した (θ, w) の確率が、観測前は一様な事前確率の CONFIG.ELIMINATION_THRESHOLD 倍以上で、
+     * 観測後にそれ未満になった仮説を「除外」とする（予測した感情は、観測前の確率が最も大きい r のもの）
+     * 
+     * @param {Float64Array} priorMass - 観測前の (r, θ, w) ごとの確率（ε について周辺化済み）
+     * @param {Int8Array} predicted - 各 (r, θ, w) がこのオファーに対して予測した感情
+     * @returns {{count: number, eliminatedCount: number, eliminatedMass: number,
+     *            byEmotion: {emotion: number, count: number, mass: number, eliminatedCount: number, eliminatedMass: number}[]}}
+     *          count / mass は観測前に残っていた仮説の数と確率、eliminated* はそのうち除外されたもの
+     */
+    summarizeElimination(priorMass, predicted) {
+        const dist = this.paramSpace.distribution;
+        const { sliceSize, Ne, Nr } = this.paramSpace;
+        const cellSize = sliceSize / Nr;  // (θ, w) の数
+        const threshold = CONFIG.ELIMINATION_THRESHOLD / cellSize;
+        const byEmotion = EMOTION_VALUES.map(emotion => ({ emotion, count: 0, mass: 0, eliminatedCount: 0, eliminatedMass: 0 }));
+        
+        for (let c = 0; c < cellSize; c++) {
+            let prior = 0;
+            let posterior = 0;
+            let dominant = c;
+            for (let ri = 0; ri < Nr; ri++) {
+                const i = ri * cellSize + c;
+                prior += priorMass[i];
+                if (priorMass[i] > priorMass[dominant]) dominant = i;
+                for (let ei = 0; ei < Ne; ei++) posterior += dist[ei * sliceSize + i];
+            }
+            if (prior < threshold) continue;
+            
+            const group = byEmotion[emotionIndex(predicted[dominant])];
+            group.count++;
+            group.mass += prior;
+            if (posterior < threshold) {
+                group.eliminatedCount++;
+                group.eliminatedMass += prior;
+            }
+        }
+        
+        const total = key => byEmotion.reduce((sum, group) => sum + group[key], 0);
+        return {
+            count: total('count'),
+            eliminatedCount: total('eliminatedCount'),
+            eliminatedMass: total('eliminatedMass'),
+            byEmotion: byEmotion.filter(group => group.count > 0)
+        };
+    }
+}
+
+// =============================================================================
+// ゲームの保存形式
+// =============================================================================
+
+// 保存したゲームの JSON の識別子と版（形式を変えたら版を上げ、読み込み側で古い版を変換する）
+const SESSION_FORMAT = 'bayesian-negotiation-session';
+const SESSION_VERSION = 1;
+
+/** θ, w のグリッドと、推定する ε・許容幅の候補（保存したゲームに記録する設定） */
+function getGridSettings() {
+    return {
+        thetaMin: CONFIG.THETA_GRID_MIN,
+        thetaMax: CONFIG.THETA_GRID_MAX,
+        thetaStep: CONFIG.THETA_GRID_STEP,
+        wMin: CONFIG.W_GRID_MIN,
+        wMax: CONFIG.W_GRID_MAX,
+        wStep: CONFIG.W_GRID_STEP,
+        noiseGrid: [...CONFIG.NOISE_GRID],
+        inferTolerance: CONFIG.INFER_TOLERANCE,
+        toleranceGrid: [...CONFIG.TOLERANCE_GRID]
+    };
+}
+
+/**
+ * 既知とするパラメータの指定を検証（'theta', 'w1', ..., 'wn' 以外があれば例外）
+ * 
+ * @param {string[]} params - 既知とする次元
+ * @param {number} numIssues - 論点数 n
+ */
+function checkKnownParams(params, numIssues) {
+    for (const dim of params) {
+        const k = typeof dim === 'string' ? Number(dim.slice(1)) : NaN;
+        if (dim !== 'theta' && !(/^w\d+$/.test(dim) && k >= 1 && k <= numIssues)) {
+            throw new Error(`Unknown dimension: ${dim}`);
+        }
+    }
+}
+
+/**
+ * 保存したゲームがこのバージョンで読み込めるかを検証する（CONFIG は変更しない）
+ * 
+ * Q・θ と w のグリッド・感情モデルはバージョンの config.js で決まるので、違う場合は読み込まない。
+ * 各項目の型と範囲も調べ、壊れたファイルはエンジンに渡す前に例外にする
+ * 
+ * @param {Object} session - NegotiationGame.exportSession の戻り値
+ */
+function validateSession(session) {
+    const n = CONFIG.Q.length;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isPositiveList = list => Array.isArray(list) && list.length > 0 && list.every(v => isNumber(v) && v > 0);
+    const isVector = vector => Array.isArray(vector) && vector.length === n && vector.every(isNumber);
+    const isObject = value => value !== null && typeof value === 'object';
+    
+    if (!isObject(session) || session.format !== SESSION_FORMAT) {
+        throw new Error('Not a negotiation session file');
+    }
+    if (session.version !== SESSION_VERSION) {
+        throw new Error(`Unsupported session version: ${session.version}`);
+    }
+    if (!same(session.Q, CONFIG.Q)) {
+        throw new Error(`Session Q [${session.Q}] does not match this version [${CONFIG.Q}]`);
+    }
+    if (session.emotionModel !== CONFIG.EMOTION_MODEL) {
+        throw new Error(`Session emotion model ${session.emotionModel} does not match ${CONFIG.EMOTION_MODEL}`);
+    }
+    if (!isNumber(session.emotionRangeMax) || session.emotionRangeMax <= 0) {
+        throw new Error(`Invalid EMOTION_RANGE_MAX in session: ${session.emotionRangeMax}`);
+    }
+    
+    const { grid, likelihood } = session;
+    if (!isObject(grid)) {
+        throw new Error('Session has no grid settings');
+    }
+    const expected = getGridSettings();
+    for (const key of ['thetaMin', 'thetaMax', 'thetaStep', 'wMin', 'wMax', 'wStep']) {
+        if (grid[key] !== expected[key]) {
+            throw new Error(`Session grid ${key} = ${grid[key]} does not match ${expected[key]}`);
+        }
+    }
+    if (!isPositiveList(grid.noiseGrid) || !isPositiveList(grid.toleranceGrid) || typeof grid.inferTolerance !== 'boolean') {
+        throw new Error('Invalid noise or tolerance grid in session');
+    }
+    
+    if (!isObject(likelihood) || !Object.hasOwn(LIKELIHOOD_MODELS, likelihood.model)) {
+        throw new Error(`Unknown likelihood model: ${isObject(likelihood) ? likelihood.model : likelihood}`);
+    }
+    if (!isNumber(likelihood.noise) || likelihood.noise <= 0 || typeof likelihood.inferNoise !== 'boolean') {
+        throw new Error('Invalid likelihood settings in session');
+    }
+    
+    if (!isVector(session.wSelf)) {
+        throw new Error(`Session W_SELF [${session.wSelf}] does not match ${n} issues`);
+    }
+    if (!Array.isArray(session.knownParams)) {
+        throw new Error('Invalid known parameters in session');
+    }
+    checkKnownParams(session.knownParams, n);
+    
+    if (!Number.isInteger(session.seed) || session.seed < 0) {
+        throw new Error(`Invalid seed in session: ${session.seed}`);
+    }
+    if (!Number.isInteger(session.gameIndex) || session.gameIndex < 0) {
+        throw new Error(`Invalid game index in session: ${session.gameIndex}`);
+    }
+    if (!Number.isInteger(session.randomCount) || session.randomCount < 0) {
+        throw new Error(`Invalid random count in session: ${session.randomCount}`);
+    }
+    if (session.agent !== null && (!isObject(session.agent) || !isNumber(session.agent.theta) || !isVector(session.agent.w)
+        || (session.agent.noise !== undefined && !(isNumber(session.agent.noise) && session.agent.noise >= 0))
+        || (session.agent.tolerance !== undefined && !(isNumber(session.agent.tolerance) && session.agent.tolerance > 0)))) {
+        throw new Error('Invalid agent in session');
+    }
+    
+    if (!Array.isArray(session.history)) {
+        throw new Error('Session has no history');
+    }
+    for (const entry of session.history) {
+        const { offer, emotion } = isObject(entry) ? entry : {};
+        if (!Array.isArray(offer) || offer.length !== n || offer.some((x, k) => !Number.isInteger(x) || x < 0 || x > CONFIG.Q[k])) {
+            throw new Error(`Invalid offer in session: ${JSON.stringify(offer)}`);
+        }
+        if (!EMOTION_VALUES.includes(emotion)) {
+            throw new Error(`Invalid emotion in session: ${emotion}`);
+        }
+    }
+}
+
+/**
+ * 保存したゲームを検証し、その設定（W_SELF・尤度モデル・既知のパラメータ・ε と許容幅の候補・EMOTION_RANGE_MAX）を
+ * CONFIG に反映する（検証に失敗した場合、CONFIG は変更しない）
+ * 
+ * @param {Object} session - NegotiationGame.exportSession の戻り値
+ */
+function applySessionConfig(session) {
+    validateSession(session);
+    
+    CONFIG.EMOTION_RANGE_MAX = session.emotionRangeMax;
+    CONFIG.NOISE_GRID = [...session.grid.noiseGrid];
+    CONFIG.setInferTolerance(session.grid.inferTolerance);
+    CONFIG.TOLERANCE_GRID = [...session.grid.toleranceGrid];
+    CONFIG.setLikelihood(session.likelihood.model, session.likelihood.noise, session.likelihood.inferNoise);
+    CONFIG.setKnownParams(session.knownParams);
+    CONFIG.setWSelf(session.wSelf);
+}
+
+// =============================================================================
+// NegotiationGame クラス
+// ゲーム全体を管理し、UIとのインターフェースを提供
+// =============================================================================
+
+class NegotiationGame {
+    /**
+     * @param {number[]} [customWSelf] - プレイヤーの重み（省略時は CONFIG.W_SELF）
+     * @param {number|string} [seed] - 乱数のシード（省略時は CONFIG.SEED、null なら無作為）
+     */
+    constructor(customWSelf = null, seed = CONFIG.SEED) {
+        this.Q = CONFIG.Q;
+        this.numIssues = this.Q.length;
+        this.wSelf = customWSelf || [...CONFIG.W_SELF];
+        
+        // オファー候補（ゲーム全体で共有）。θ, w のグリッドは既知のパラメータに合わせてエージェントごとに作る
+        this.candX = generateAllOffers(this.Q);
+        this.knownParams = [...CONFIG.KNOWN_PARAMS];
+        
+        this.setSeed(seed);
+        this.reset();
+    }
+    
+    /**
+     * 乱数のシードを設定し、エージェントの系列を最初からにする（次の reset で最初のエージェントを選ぶ）
+     * 
+     * シードの系列 0 でエージェントを選び、g 番目のゲーム（0 始まり）の感情ノイズ・仮説の抽出・
+     * 模擬プレイヤーには系列 g + 1 を使う（W_SELF の診断は系列 -1）。
+     * 同じシードなら、同じオファーに対して同じエージェントの列と感情が再現される
+     * 
+     * @param {number|string|null} seed - シード（null なら無作為に決める）
+     */
+    setSeed(seed) {
+        this.seed = seed === null || seed === undefined || seed === ''
+            ? Math.floor(Math.random() * 4294967296)
+            : normalizeSeed(seed);
+        this.agentRandom = createRandom(this.seed);
+        this.gameIndex = -1;
+    }
+    
+    /** ゲームをリセット（シードの乱数系列から次のエージェントを選ぶ） */
+    reset() {
+        this.gameIndex++;
+        this.setAgent(this._drawPattern());
+    }
+    
+    /** シードの乱数系列（系列 0）から次のエージェントのパターンを選ぶ */
+    _drawPattern() {
+        return ALL_PATTERNS[Math.floor(this.agentRandom() * ALL_PATTERNS.length)];
+    }
+    
+    /** シード seed で gameIndex 番目（0 始まり）に reset が選ぶパターン（現在の系列は進めない） */
+    _seedPattern(seed, gameIndex) {
+        const random = createRandom(seed);
+        let pattern = null;
+        for (let g = 0; g <= gameIndex; g++) {
+            pattern = ALL_PATTERNS[Math.floor(random() * ALL_PATTERNS.length)];
+        }
+        return pattern;
+    }
+    
+    /**
+     * 指定したパターンのエージェントで最初からやり直す
+     * 
+     * @param {{name: string, theta: number, w: number[], noise?: number, tolerance?: number, description?: string}} pattern
+     */
+    setAgent(pattern) {
+        this.trueTheta = degToRad(pattern.theta);
+        this.trueThetaDeg = pattern.theta;
+        this.trueW = pattern.w;
+        this.trueNoise = pattern.noise ?? CONFIG.AGENT_NOISE;
+        this.trueTolerance = pattern.tolerance ?? CONFIG.EMOTION_RANGE_MAX;
+        this.patternName = pattern.name;
+        this.patternDescription = pattern.description || '';
+        this.pattern = pattern;
+        
+        // このゲームの乱数（同じエージェントでやり直すときも系列の最初から）
+        // 使った回数を数えておき、保存したゲームを読み込むときに系列の位置を戻す
+        const random = createRandom(deriveSeed(this.seed, this.gameIndex + 1));
+        this.randomCount = 0;
+        this.random = () => {
+            this.randomCount++;
+            return random();
+        };
+        
+        this._buildGrids();
+        this._initEngine();
+        
+        this.round = 0;
+        this.history = [];
+        this.logEvidence = 0;  // 累積の対数エビデンス log P(e_1, ..., e_t | x_1, ..., x_t)
+    }
+    
+    /**
+     * 既知のパラメータを設定し、同じエージェントで最初からやり直す
+     * 既知の次元はエージェントの真の値の1点に事前分布を絞る
+     * 
+     * @param {string[]} params - 'theta', 'w1', ..., 'wn' のうち既知とするもの
+     */
+    setKnownParams(params) {
+        checkKnownParams(params, this.numIssues);
+        this.knownParams = [...params];
+        this.setAgent(this.pattern);
+    }
+    
+    /** θ, w のグリッドを生成（既知のパラメータはエージェントの真の値のみ） */
+    _buildGrids() {
+        const known = new Set(this.knownParams);
+        
+        this.thetaGrid = known.has('theta')
+            ? [this.trueTheta]
+            : generateThetaGrid(CONFIG.THETA_GRID_MIN, CONFIG.THETA_GRID_MAX, CONFIG.THETA_GRID_STEP);
+        this.wGrid = generateWGrid(
+            CONFIG.W_GRID_MIN, CONFIG.W_GRID_MAX, CONFIG.W_GRID_STEP, this.numIssues,
+            this.trueW.map((v, k) => known.has(`w${k + 1}`) ? v : null)
+        );
+    }
+    
+    /**
+     * 推論エンジンを初期化（ε・許容幅のグリッドは現在の設定から決まる）
+     * 
+     * 比較対象の感情モデルごとにパラメータ空間とエンジンを持ち、同じ観測で更新する。
+     * 先頭が CONFIG.EMOTION_MODEL で、this.paramSpace / this.engine はその推論を指す
+     */
+    _initEngine() {
+        this.noiseGrid = getNoiseGrid();
+        this.candidates = getComparedEmotionModels().map(name => {
+            const paramSpace = new ParameterSpace(this.thetaGrid, this.wGrid, this.noiseGrid, getToleranceGrid(name));
+            return {
+                name,
+                paramSpace,
+                engine: new BayesianInferenceEngine(paramSpace, this.Q, this.wSelf, this.candX, name),
+                logEvidence: 0  // 累積の対数周辺尤度 log P(e_1, ..., e_t | x_1, ..., x_t, M)
+            };
+        });
+        
+        this.paramSpace = this.candidates[0].paramSpace;
+        this.engine = this.candidates[0].engine;
+        this.toleranceGrid = [...this.paramSpace.toleranceValues];
+    }
+    
+    /**
+     * 全ての感情モデルで観測 (x, e) によるベイズ更新を行う
+     * 
+     * @returns {number} 使用中のモデル（CONFIG.EMOTION_MODEL）でのこのラウンドの対数エビデンス
+     */
+    _updateCandidates(emotion, x, onProgress = null) {
+        const count = this.candidates.length;
+        const logEvidences = this.candidates.map((candidate, m) => {
+            const progress = onProgress && ((done, total) => onProgress(m * total + done, count * total));
+            const logEvidence = candidate.engine.update(emotion, x, progress);
+            candidate.logEvidence += logEvidence;
+            return logEvidence;
+        });
+        return logEvidences[0];
+    }
+    
+    /**
+     * 感情モデルの比較（モデルの事前確率は一様）
+     * - probability: 事後確率 P(M | これまでの観測)
+     * - log10BayesFactor: 使用中のモデルに対するベイズ因子 log10 [P(D | M) / P(D | M_使用中)]
+     */
+    getModelComparison() {
+        const logZ = logsumexp(this.candidates.map(c => c.logEvidence));
+        const reference = this.candidates[0].logEvidence;
+        
+        return this.candidates.map(({ name, logEvidence }) => ({
+            name,
+            label: EMOTION_MODELS[name].label,
+            logEvidence,
+            probability: Math.exp(logEvidence - logZ),
+            log10BayesFactor: (logEvidence - reference) / Math.LN10
+        }));
+    }
+    
+    /** プレイヤーの重み W_SELF を更新してリセット */
+    updateWSelf(newWSelf) {
+        this.wSelf = [...newWSelf];
+        CONFIG.setWSelf(newWSelf);
+        this.reset();
+    }
+    
+    /**
+     * オファーを適用
+     * 1. 真のパラメータで感情を計算（エージェントのノイズ ε があれば揺らぐ）
      * 2. ベイズ更新を実行
      * 3. 事後統計を返す
+     * 
+     * @param {number[]} x - オファー
+     * @param {function(number, number)} [onProgress] - ベイズ更新の進捗通知
      */
-    applyOffer(x) {
-        this.round++;
-        
+    applyOffer(x, onProgress = null) {
         // 真のパラメータでエージェントの感情を計算
-        const emotion = this.engine.computeTrueEmotion(x, this.trueTheta, this.trueW);
+        const emotion = sampleNoisyEmotion(
+            this.engine.computeTrueEmotion(x, this.trueTheta, this.trueW, this.trueTolerance), this.trueNoise, this.random
+        );
+        return this._observe(x, emotion, onProgress);
+    }
+    
+    /** オファー x に感情 emotion が返ったラウンドを記録し、ベイズ更新する（applyOffer の 2, 3） */
+    _observe(x, emotion, onProgress = null) {
+        this.round++;
         
-        // ベイズ更新
-        this.engine.update(emotion, x);
+        // ベイズ更新（比較対象の感情モデルも同じ観測で更新）
+        const logEvidence = this._updateCandidates(emotion, x, onProgress);
+        this.logEvidence += logEvidence;
         
         // 事後統計を取得
-        const { thetaMean, wMean } = this.paramSpace.getPosteriorMean();
-        const thetaMarginal = normalize(this.paramSpace.getMarginalTheta());
-        const wComponentMarginals = this.paramSpace.getComponentWiseMarginals();
+        const summary = this.getPosteriorSummary();
         
         // 履歴に記録
+        const elimination = this.engine.lastElimination;
         this.history.push({
             round: this.round,
             offer: [...x],
             emotion,
-            thetaEstimate: radToDeg(thetaMean),
-            wEstimate: [...wMean]
+            logEvidence,
+            elimination,
+            ...this._roundStatistics(summary)
         });
         
         return {
             emotion,
             round: this.round,
-            thetaMarginal,
-            wComponentMarginals,
+            logEvidence,
+            totalLogEvidence: this.logEvidence,
+            elimination,
+            ...summary
+        };
+    }
+    
+    /**
+     * 次のオファーの推薦（期待情報利得の大きい順）
+     * 
+     * @returns {{entropy: number, offers: {offer: number[], gain: number}[]}}
+     *          現在の同時分布のエントロピーと推薦（いずれもビット）
+     */
+    recommendOffers(k, onProgress = null) {
+        return {
+            entropy: this.paramSpace.getEntropy(),
+            offers: this.engine.recommendOffers(k, onProgress, this.random)
+        };
+    }
+    
+    /**
+     * 先読み計画（BayesianInferenceEngine.planOffers）
+     * 
+     * @returns {{entropy: number, offers: number[][], gain: number}} 現在の同時分布のエントロピーと計画（ビット）
+     */
+    planOffers(depth, onProgress = null) {
+        return {
+            entropy: this.paramSpace.getEntropy(),
+            ...this.engine.planOffers(depth, onProgress, this.random)
+        };
+    }
+    
+    /**
+     * 仮のオファーに対する感情の事後予測分布（真のパラメータは使わない）
+     * 
+     * @returns {number[]} EMOTION_VALUES の順の確率
+     */
+    predictEmotions(x) {
+        return this.engine.predictiveDistribution(x);
+    }
+    
+    /**
+     * 事後確率 P(θ, w) の上位の仮説（先頭が同時 MAP 推定、θ は度数法）
+     * ti, wi は predictHypothesis に渡すグリッドのインデックス
+     * 
+     * @returns {{ti: number, wi: number, theta: number, w: number[], probability: number}[]}
+     */
+    getTopHypotheses(k = CONFIG.TOP_HYPOTHESES) {
+        return this.paramSpace.getTopCells(k).map(({ ti, wi, probability }) => ({
+            ti,
+            wi,
+            theta: radToDeg(this.thetaGrid[ti]),
+            w: [...this.wGrid[wi]],
+            probability
+        }));
+    }
+    
+    /**
+     * 2つの次元の同時周辺分布（ヒートマップ用、θ は度数法）
+     * 
+     * @param {string} dimA - 'theta' または 'w1', ..., 'wn'
+     * @param {string} dimB - 同上
+     * @returns {{aValues: number[], bValues: number[], probs: number[][]}} probs[ai][bi]
+     */
+    getPairMarginal(dimA, dimB) {
+        const values = dim => Array.from(this.paramSpace.getDimensionValues(dim), v => dim === 'theta' ? radToDeg(v) : v);
+        
+        return {
+            aValues: values(dimA),
+            bValues: values(dimB),
+            probs: this.paramSpace.getPairMarginal(dimA, dimB).map(row => Array.from(row))
+        };
+    }
+    
+    /**
+     * 1つの次元の値で条件付けた周辺分布（getPosteriorSummary と同じ形、θ は度数法）
+     * 
+     * @param {string} dim - 'theta' または 'w1', ..., 'wn'
+     * @param {number} valueIndex - その次元のグリッドでのインデックス
+     * @returns {Object} 周辺分布・グリッドと、条件 condition: {dim, value, probability}
+     */
+    getConditionalSummary(dim, valueIndex) {
+        const conditional = this.paramSpace.getConditionalMarginals(dim, valueIndex);
+        const value = this.paramSpace.getDimensionValues(dim)[valueIndex];
+        
+        return {
+            condition: {
+                dim,
+                value: dim === 'theta' ? radToDeg(value) : value,
+                probability: conditional.probability
+            },
+            thetaMarginal: Array.from(conditional.theta),
+            wComponentMarginals: conditional.components.map((probs, component) => ({
+                component,
+                values: [...this.paramSpace.wComponentValues[component]],
+                probs: Array.from(probs)
+            })),
+            noiseMarginal: Array.from(conditional.noise),
+            toleranceMarginal: Array.from(conditional.tolerance),
+            thetaGrid: this.thetaGrid.map(radToDeg),
+            noiseGrid: [...this.noiseGrid],
+            toleranceGrid: [...this.toleranceGrid]
+        };
+    }
+    
+    /**
+     * 仮説 (θ_ti, w_wi) がオファー x に対して予測する感情
+     * 
+     * @returns {{emotion: number, probability: number, distribution: number[]}}
+     *          最も確率の高い感情とその確率、EMOTION_VALUES の順の予測分布
+     */
+    predictHypothesis(ti, wi, x) {
+        const distribution = this.engine.cellPredictiveDistribution(ti, wi, x);
+        const best = distribution.indexOf(Math.max(...distribution));
+        return { emotion: EMOTION_VALUES[best], probability: distribution[best], distribution };
+    }
+    
+    /**
+     * 真の (θ, w) のセルの事後確率（ε, 許容幅は周辺化）
+     * 真のパラメータがグリッド上にない場合は 0
+     */
+    getTrueCellProbability() {
+        const cell = this._trueCell();
+        return cell ? this.paramSpace.getCellProbability(cell.ti, cell.wi) : 0;
+    }
+    
+    /** 真の (θ, w) のグリッドのインデックス（グリッド上にない場合は null） */
+    _trueCell() {
+        const ti = this.thetaGrid.findIndex(t => Math.abs(t - this.trueTheta) < 1e-9);
+        const wi = this.wGrid.findIndex(w => w.every((v, k) => v === this.trueW[k]));
+        return ti < 0 || wi < 0 ? null : { ti, wi };
+    }
+    
+    /**
+     * 識別できない仮説の同値類（computeEquivalenceClasses）と類ごとの大きさ
+     * Q・W_SELF・感情モデル・グリッド（大きさと許容幅の候補、既知のパラメータの値）が変わらない間は前回の結果を使い回す
+     */
+    _equivalenceClasses(onProgress = null) {
+        const knownValues = this.knownParams.map(dim => dim === 'theta' ? this.trueThetaDeg : this.trueW[Number(dim.slice(1)) - 1]);
+        const key = JSON.stringify([
+            this.Q, this.wSelf, this.engine.emotionModelName,
+            this.thetaGrid.length, this.wGrid.length, this.toleranceGrid, this.knownParams, knownValues
+        ]);
+        if (this._identifiability && this._identifiability.key === key) {
+            return this._identifiability;
+        }
+        
+        this._identifiability = { key, ...this.engine.computeEquivalenceClasses(onProgress) };
+        return this._identifiability;
+    }
+    
+    /**
+     * 識別可能性の分析（現在の W_SELF, Q とオファー候補 candX 全体について）
+     * 
+     * 同じ類の仮説はどのオファーにも同じ感情を返すので、観測をいくら重ねても区別できない。
+     * 事前分布は一様なので、ノイズのない観測を尽くしても事後分布は真の仮説の類の上で一様にしか絞れない。
+     * 仮説は事後分布と同じ (θ, w, r)（許容幅 r を推定しないときは (θ, w)）
+     * 
+     * @param {function(number, number)} [onProgress] - 進捗通知（初回の分析時のみ）
+     * @returns {Object}
+     *   - numHypotheses / numClasses: 仮説の数と同値類の数
+     *   - singletonFraction: 他の仮説と区別できる仮説の割合
+     *   - largestClass: 最大の類の大きさ
+     *   - priorEntropy: 事前分布のエントロピー log2(仮説の数)（ビット）
+     *   - minEntropy: 観測を尽くした後に残るエントロピーの期待値 Σ_c (|c| / N) log2 |c|（ビット）
+     *   - thetaIdentifiableFraction / wIdentifiableFraction / toleranceIdentifiableFraction:
+     *     類の中で θ（w、r）が1つに決まる仮説の割合
+     *   - toleranceValues: 分析に使った許容幅の候補
+     */
+    getIdentifiability(onProgress = null) {
+        const { classIds, numClasses, sizes } = this._equivalenceClasses(onProgress);
+        const { Nt, Nw } = this.paramSpace;
+        const numHypotheses = classIds.length;
+        
+        // 類ごとに θ, w, r が1つに決まるか（最初に現れた値と異なる値があれば決まらない）
+        const dims = [
+            cell => Math.floor(cell / Nw) % Nt,
+            cell => cell % Nw,
+            cell => Math.floor(cell / (Nt * Nw))
+        ].map(index => ({ index, first: new Int32Array(numClasses).fill(-1), mixed: new Uint8Array(numClasses), identifiable: 0 }));
+        for (let cell = 0; cell < numHypotheses; cell++) {
+            const c = classIds[cell];
+            for (const dim of dims) {
+                const value = dim.index(cell);
+                if (dim.first[c] < 0) {
+                    dim.first[c] = value;
+                } else if (dim.first[c] !== value) {
+                    dim.mixed[c] = 1;
+                }
+            }
+        }
+        
+        let singletons = 0;
+        let largestClass = 0;
+        let minEntropy = 0;
+        for (let c = 0; c < numClasses; c++) {
+            const size = sizes[c];
+            if (size === 1) singletons++;
+            largestClass = Math.max(largestClass, size);
+            minEntropy += size / numHypotheses * Math.log2(size);
+            for (const dim of dims) {
+                if (!dim.mixed[c]) dim.identifiable += size;
+            }
+        }
+        const [theta, w, tolerance] = dims;
+        
+        return {
+            numHypotheses,
+            numClasses,
+            singletonFraction: singletons / numHypotheses,
+            largestClass,
+            priorEntropy: Math.log2(numHypotheses),
+            minEntropy,
+            thetaIdentifiableFraction: theta.identifiable / numHypotheses,
+            wIdentifiableFraction: w.identifiable / numHypotheses,
+            toleranceIdentifiableFraction: tolerance.identifiable / numHypotheses,
+            toleranceValues: [...this.toleranceGrid]
+        };
+    }
+    
+    /**
+     * 真の (θ, w, r) と区別できない仮説の類（θ は度数法）
+     * 
+     * @param {function(number, number)} [onProgress] - 進捗通知（初回の分析時のみ）
+     * @returns {{size: number, entropy: number, probability: number, thetaValues: number[],
+     *            examples: {theta: number, w: number[], tolerance: number}[]}|null}
+     *          類の大きさ、絞り切ったときに残るエントロピー log2(大きさ)、現在の事後確率、
+     *          類に含まれる θ の値、含まれる仮説の例（IDENTIFIABILITY_EXAMPLES 件まで）。
+     *          真のパラメータがグリッド上にない場合は null
+     */
+    getTrueClass(onProgress = null) {
+        const cell = this._trueCell();
+        const ri = this.toleranceGrid.indexOf(this.trueTolerance);
+        if (!cell || ri < 0) return null;
+        
+        const { classIds, sizes } = this._equivalenceClasses(onProgress);
+        const { Nt, Nw, Ne, sliceSize } = this.paramSpace;
+        const trueClass = classIds[(ri * Nt + cell.ti) * Nw + cell.wi];
+        const dist = this.paramSpace.distribution;
+        
+        let probability = 0;
+        const thetaIndices = new Set();
+        const examples = [];
+        for (let c = 0; c < classIds.length; c++) {
+            if (classIds[c] !== trueClass) continue;
+            const ti = Math.floor(c / Nw) % Nt;
+            const wi = c % Nw;
+            for (let ei = 0; ei < Ne; ei++) probability += dist[ei * sliceSize + c];
+            thetaIndices.add(ti);
+            if (examples.length < CONFIG.IDENTIFIABILITY_EXAMPLES) {
+                examples.push({
+                    theta: radToDeg(this.thetaGrid[ti]),
+                    w: [...this.wGrid[wi]],
+                    tolerance: this.toleranceGrid[Math.floor(c / (Nt * Nw))]
+                });
+            }
+        }
+        
+        return {
+            size: sizes[trueClass],
+            entropy: Math.log2(sizes[trueClass]),
+            probability,
+            thetaValues: [...thetaIndices].sort((a, b) => a - b).map(ti => radToDeg(this.thetaGrid[ti])),
+            examples
+        };
+    }
+    
+    /** 現在の事後分布の周辺分布・事後平均・不確かさ（θ は度数法） */
+    getPosteriorSummary() {
+        const { thetaMean, wMean, noiseMean, toleranceMean } = this.paramSpace.getPosteriorMean();
+        const { entropy, thetaEntropy, wEntropies, thetaHDI, wHDIs } = this.paramSpace.getUncertainty();
+        
+        return {
+            thetaMarginal: normalize(this.paramSpace.getMarginalTheta()),
+            wComponentMarginals: this.paramSpace.getComponentWiseMarginals(),
+            noiseMarginal: normalize(this.paramSpace.getMarginalNoise()),
+            toleranceMarginal: normalize(this.paramSpace.getMarginalTolerance()),
             thetaMean: radToDeg(thetaMean),
             wMean,
-            thetaGrid: this.thetaGrid.map(radToDeg)
+            noiseMean,
+            toleranceMean,
+            entropy,
+            thetaEntropy,
+            wEntropies,
+            thetaHDI: thetaHDI.map(radToDeg),
+            wHDIs,
+            topHypotheses: this.getTopHypotheses(),
+            thetaGrid: this.thetaGrid.map(radToDeg),
+            noiseGrid: [...this.noiseGrid],
+            toleranceGrid: [...this.toleranceGrid],
+            knownParams: [...this.knownParams],
+            modelComparison: this.getModelComparison()
+        };
+    }
+    
+    /**
+     * 尤度モデルを変更し、これまでのオファーと感情から事後分布を計算し直す
+     * （エージェントとラウンド数はそのまま。ε のグリッドが変わるのでパラメータ空間は作り直す）
+     */
+    updateLikelihood(model, noise, inferNoise = CONFIG.INFER_NOISE) {
+        CONFIG.setLikelihood(model, noise, inferNoise);
+        this._initEngine();
+        this._replayHistory();
+    }
+    
+    /**
+     * 許容幅を推定するかを変更し、これまでのオファーと感情から事後分布を計算し直す
+     * （許容幅のグリッドが変わるのでパラメータ空間は作り直す）
+     */
+    updateInferTolerance(enabled) {
+        CONFIG.setInferTolerance(enabled);
+        this._initEngine();
+        this._replayHistory();
+    }
+    
+    /** 事前分布から履歴の観測を順に適用し直す */
+    _replayHistory() {
+        for (const candidate of this.candidates) {
+            candidate.paramSpace.resetToPrior();
+            candidate.logEvidence = 0;
+        }
+        this.logEvidence = 0;
+        
+        for (const entry of this.history) {
+            entry.logEvidence = this._updateCandidates(entry.emotion, entry.offer);
+            this.logEvidence += entry.logEvidence;
+            entry.elimination = this.engine.lastElimination;
+            Object.assign(entry, this._roundStatistics(this.getPosteriorSummary()));
+        }
+    }
+    
+    /**
+     * 履歴に残すそのラウンドの推定値と収束の指標
+     * （エントロピーと最高密度区間は getUncertainty、trueProbability は真の (θ, w) の事後確率）
+     */
+    _roundStatistics(summary) {
+        return {
+            thetaEstimate: summary.thetaMean,
+            wEstimate: [...summary.wMean],
+            noiseEstimate: summary.noiseMean,
+            toleranceEstimate: summary.toleranceMean,
+            modelComparison: summary.modelComparison,
+            entropy: summary.entropy,
+            thetaEntropy: summary.thetaEntropy,
+            wEntropies: summary.wEntropies,
+            thetaHDI: summary.thetaHDI,
+            wHDIs: summary.wHDIs,
+            trueProbability: this.getTrueCellProbability()
+        };
+    }
+    
+    /** ラウンドごとの履歴（オファー・感情・推定値・収束の指標） */
+    getHistory() {
+        return this.history;
+    }
+    
+    /**
+     * W_SELF の候補でどれだけ推定しやすいかを ALL_PATTERNS との模擬ゲームで見積もり、
+     * より推定しやすい W_SELF を提案する（WSelfAdvisor.advise を参照。ゲームの状態は変えない）
+     * 
+     * @param {number[]} wSelf - 評価する W_SELF（まだ適用していない値でよい）
+     */
+    adviseWSelf(wSelf, onProgress = null) {
+        if (!this._advisor || this._advisor.emotionModelName !== CONFIG.EMOTION_MODEL) {
+            this._advisor = new WSelfAdvisor(this.Q, this.candX, CONFIG.EMOTION_MODEL);
+        }
+        // ゲームの乱数系列は進めない（同じシードなら同じ診断になる）
+        return this._advisor.advise(wSelf, ALL_PATTERNS, createRandom(deriveSeed(this.seed, -1)), onProgress);
+    }
+    
+    /**
+     * 模擬プレイヤーの戦略が次に出すオファー（適用はしない。applyOffer に渡す）
+     * 
+     * @param {string} name - PLAYER_STRATEGIES のキー
+     * @param {function(): number} [random] - [0, 1) の乱数（省略時はこのゲームの乱数系列）
+     */
+    strategyOffer(name, random = this.random) {
+        const strategy = PLAYER_STRATEGIES[name];
+        if (!strategy) {
+            throw new Error(`Unknown strategy: ${name}`);
+        }
+        return [...strategy.nextOffer(this, random)];
+    }
+    
+    /**
+     * ゲームを保存用の JSON に書き出す
+     * 
+     * 設定・乱数のシードと、オファーと感情の履歴を記録する（事後分布は importSession で履歴から計算し直す）
+     * 
+     * @param {boolean} [hideAgent] - エージェントのパターンを書き出さない（読み込み時にシードと gameIndex から選び直す。
+     *                                 reset で選ばれたエージェントでなければ選び直せないので例外）
+     */
+    exportSession(hideAgent = false) {
+        if (hideAgent && !this._isSeedPattern()) {
+            throw new Error('Only an agent chosen by the seed can be hidden');
+        }
+        const { name, theta, w, noise, tolerance, description } = this.pattern;
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            savedAt: new Date().toISOString(),
+            Q: [...this.Q],
+            wSelf: [...this.wSelf],
+            grid: getGridSettings(),
+            emotionModel: CONFIG.EMOTION_MODEL,
+            emotionRangeMax: CONFIG.EMOTION_RANGE_MAX,
+            likelihood: {
+                model: CONFIG.LIKELIHOOD_MODEL,
+                noise: CONFIG.LIKELIHOOD_NOISE,
+                inferNoise: CONFIG.INFER_NOISE
+            },
+            knownParams: [...this.knownParams],
+            seed: this.seed,
+            gameIndex: this.gameIndex,
+            agent: hideAgent ? null : { name, theta, w: [...w], noise, tolerance, description },
+            randomCount: this.randomCount,
+            history: this.history.map(({ offer, emotion }) => ({ offer: [...offer], emotion }))
         };
     }
     
+    /**
+     * exportSession で書き出したゲームを読み込み、記録された感情で履歴を順に適用して事後分布を作り直す
+     * 
+     * エージェントが伏せられている場合は、シードの乱数系列の gameIndex 番目のエージェントに戻す
+     * （伏せて保存できるのは reset で選んだエージェントだけなので、保存時と同じ）。
+     * 履歴の適用では乱数を使わないので、最後にゲームの乱数系列を保存時の位置まで進め、
+     * その後の感情ノイズ・仮説の抽出・模擬プレイヤーを保存したゲームの続きと同じにする
+     * 
+     * @param {Object} session - 保存したゲーム
+     * @param {function(number, number)} [onProgress] - ベイズ更新の進捗通知（全ラウンド通して）
+     */
+    importSession(session, onProgress = null) {
+        applySessionConfig(session);
+        this.wSelf = [...session.wSelf];
+        this.knownParams = [...session.knownParams];
+        
+        this.setSeed(session.seed);
+        for (let g = 0; g <= session.gameIndex; g++) {
+            this._drawPattern();
+        }
+        this.gameIndex = session.gameIndex;
+        this.setAgent(session.agent ?? this._seedPattern(session.seed, session.gameIndex));
+        
+        const rounds = session.history.length;
+        session.history.forEach(({ offer, emotion }, i) => {
+            const progress = onProgress && ((done, total) => onProgress(i * total + done, rounds * total));
+            this._observe(offer, emotion, progress);
+        });
+        while (this.randomCount < session.randomCount) {
+            this.random();
+        }
+    }
+    
+    /**
+     * 現在のエージェントが、シードの系列で gameIndex 番目に選ばれるパターンと同じか
+     * （読み込んだゲームのパターンは JSON の複製なので、参照ではなく内容で比べる）
+     */
+    _isSeedPattern() {
+        const pattern = this._seedPattern(this.seed, this.gameIndex);
+        return ['name', 'theta', 'noise', 'tolerance'].every(key => pattern[key] === this.pattern[key])
+            && pattern.w.length === this.pattern.w.length
+            && pattern.w.every((v, k) => v === this.pattern.w[k]);
+    }
+    
     /** 現在のプレイヤー重み W_SELF を取得 */
     getWSelf() {
         return [...this.wSelf];
     }
     
+    /** 乱数のシードと、そのシードで何番目のエージェントか（0 始まり） */
+    getSeed() {
+        return { seed: this.seed, gameIndex: this.gameIndex };
+    }
+    
     /** 真のパラメータを取得（デバッグ用） */
     getTrueParams() {
         return {
             theta: this.trueThetaDeg,
             w: this.trueW,
-            patternName: this.patternName
+            noise: this.trueNoise,
+            tolerance: this.trueTolerance,
+            patternName: this.patternName,
+            patternDescription: this.patternDescription
+        };
+    }
+}
+
+// =============================================================================
+// W_SELF の設計支援
+// =============================================================================
+
+/**
+ * W_SELF の候補ごとに、エージェントのパターン全体との対戦を模擬して推定のしやすさを見積もる
+ * 
+ * 模擬は理想化している: エージェントはノイズなしで許容幅 EMOTION_RANGE_MAX の感情を返し、
+ * プレイヤーは毎ラウンド無作為な ADVISOR_OFFERS 件のオファーから、残りの仮説を最もよく分けるものを出す。
+ * このとき事後分布は観測と矛盾しない (θ, w) の上で一様なので、残った仮説が 1 / CONVERGENCE_MASS 個以下
+ * （真の仮説の事後確率が CONVERGENCE_MASS 以上）になったラウンドを収束とする。
+ * θ, w のグリッドは既知のパラメータによらず全体を使う
+ */
+class WSelfAdvisor {
+    constructor(Q, candX, emotionModelName = CONFIG.EMOTION_MODEL) {
+        this.Q = Q;
+        this.candX = candX;
+        this.emotionModelName = emotionModelName;
+        this.paramSpace = new ParameterSpace(
+            generateThetaGrid(CONFIG.THETA_GRID_MIN, CONFIG.THETA_GRID_MAX, CONFIG.THETA_GRID_STEP),
+            generateWGrid(CONFIG.W_GRID_MIN, CONFIG.W_GRID_MAX, CONFIG.W_GRID_STEP, Q.length)
+        );
+        
+        // 残っている (θ, w) のインデックス ti * Nw + wi と、w ごとの相手効用の作業用バッファ
+        this._alive = new Int32Array(this.paramSpace.Nt * this.paramSpace.Nw);
+        this._otherDot = new Float64Array(this.paramSpace.Nw);
+    }
+    
+    /**
+     * 現在の W_SELF と無作為な候補を評価し、推定しやすい順に並べる
+     * 
+     * @param {number[]} wSelf - 評価する W_SELF
+     * @param {Object[]} patterns - 模擬の相手とするエージェントのパターン
+     * @param {function(): number} [random] - [0, 1) の乱数
+     * @param {function(number, number)} [onProgress] - 候補ごとに (評価済みの数, 候補数) で呼ばれる
+     * @returns {{current: Object, suggestions: Object[]}} evaluate の結果（suggestions は上位 ADVISOR_SUGGESTIONS 件）
+     */
+    advise(wSelf, patterns, random = Math.random, onProgress = null) {
+        const candidates = [wSelf, ...this._randomCandidates(wSelf, random)];
+        
+        const evaluations = candidates.map((candidate, i) => {
+            const evaluation = this.evaluate(candidate, patterns, random);
+            if (onProgress) onProgress(i + 1, candidates.length);
+            return evaluation;
+        });
+        
+        return {
+            current: evaluations[0],
+            suggestions: evaluations.slice(1)
+                .sort((a, b) => a.expectedRounds - b.expectedRounds || b.thetaResolvedFraction - a.thetaResolvedFraction)
+                .slice(0, CONFIG.ADVISOR_SUGGESTIONS)
+        };
+    }
+    
+    /**
+     * 1つの W_SELF で各パターンとの模擬ゲームを行う
+     * 
+     * @param {function(): number} [random] - [0, 1) の乱数（模擬プレイヤーのオファー選び）
+     * @returns {Object}
+     *   - wSelf
+     *   - meanRounds: 収束したゲームの平均ラウンド数（収束しなければ null）
+     *   - expectedRounds: 収束しなかったゲームを ADVISOR_ROUNDS として数えた平均（並べ替えに使う）
+     *   - convergedFraction: ADVISOR_ROUNDS 以内に収束したゲームの割合
+     *   - thetaResolvedFraction: 最後に残った仮説の θ が正解の1つに絞れたゲームの割合
+     *   - meanRemainingEntropy: 最後に残った仮説の数の log2 の平均（ビット）
+     *   - warnings: 'zero'（W_SELF が全て 0）, 'theta'（θ が絞れないことが多い）, 'slow'（収束しないことが多い）
+     */
+    evaluate(wSelf, patterns, random = Math.random) {
+        const model = createEmotionModel(this.emotionModelName, this.Q, wSelf);
+        model.prepare(this.paramSpace);
+        
+        const games = patterns.map(pattern => this._play(model, wSelf, pattern, random)).filter(game => game !== null);
+        
+        const converged = games.filter(game => game.rounds !== null);
+        const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        const convergedFraction = games.length > 0 ? converged.length / games.length : 0;
+        const thetaResolvedFraction = games.length > 0 ? games.filter(game => game.thetaResolved).length / games.length : 0;
+        
+        const warnings = [];
+        if (wSelf.every(v => v === 0)) warnings.push('zero');
+        if (thetaResolvedFraction < 0.5) warnings.push('theta');
+        if (convergedFraction < 0.5) warnings.push('slow');
+        
+        return {
+            wSelf: [...wSelf],
+            meanRounds: mean(converged.map(game => game.rounds)),
+            expectedRounds: mean(games.map(game => game.rounds ?? CONFIG.ADVISOR_ROUNDS)) ?? CONFIG.ADVISOR_ROUNDS,
+            convergedFraction,
+            thetaResolvedFraction,
+            meanRemainingEntropy: mean(games.map(game => Math.log2(game.remaining))) ?? 0,
+            warnings
         };
     }
+    
+    /**
+     * パターンのエージェントに対して模擬ゲームを行い、観測と矛盾する (θ, w) を除いていく
+     * 
+     * @returns {{rounds: number|null, remaining: number, thetaResolved: boolean}|null}
+     *          収束したラウンド、最後に残った仮説の数、θ が絞れたか。真のパラメータがグリッド上にない場合は null
+     */
+    _play(model, wSelf, pattern, random) {
+        const { Nw, thetaValues, wGrid } = this.paramSpace;
+        const trueTi = thetaValues.findIndex(t => Math.abs(t - degToRad(pattern.theta)) < 1e-9);
+        const trueWi = wGrid.findIndex(w => w.every((v, k) => v === pattern.w[k]));
+        if (trueTi < 0 || trueWi < 0) return null;
+        
+        const tolerance = CONFIG.EMOTION_RANGE_MAX;
+        const alive = this._alive;
+        const otherDot = this._otherDot;
+        let count = alive.length;
+        for (let c = 0; c < count; c++) alive[c] = c;
+        
+        let rounds = null;
+        for (let round = 1; round <= CONFIG.ADVISOR_ROUNDS; round++) {
+            const x = this._chooseOffer(model, wSelf, count, random);
+            const selfDot = dot(wSelf, x);
+            this._fillOtherDot(x);
+            
+            // 真のセルと同じ感情を予測する仮説だけを残す
+            const observed = model.cellEmotion(trueTi, trueWi, selfDot, otherDot[trueWi], tolerance);
+            let kept = 0;
+            for (let i = 0; i < count; i++) {
+                const cell = alive[i];
+                const wi = cell % Nw;
+                if (model.cellEmotion((cell - wi) / Nw, wi, selfDot, otherDot[wi], tolerance) === observed) {
+                    alive[kept++] = cell;
+                }
+            }
+            count = kept;
+            
+            if (1 / count >= CONFIG.CONVERGENCE_MASS) {
+                rounds = round;
+                break;
+            }
+        }
+        
+        let thetaResolved = true;
+        for (let i = 0; i < count; i++) {
+            if (Math.floor(alive[i] / Nw) !== trueTi) thetaResolved = false;
+        }
+        return { rounds, remaining: count, thetaResolved };
+    }
+    
+    /**
+     * 無作為な ADVISOR_OFFERS 件のオファーのうち、残りの仮説 alive[0..count) の予測感情の分かれ方の
+     * エントロピーが最大のものを選ぶ（仮説が多い場合は ADVISOR_SAMPLES 個を等間隔に抽出して数える）
+     */
+    _chooseOffer(model, wSelf, count, random) {
+        const { Nw, wFlat, numIssues: n } = this.paramSpace;
+        const tolerance = CONFIG.EMOTION_RANGE_MAX;
+        const samples = Math.min(count, CONFIG.ADVISOR_SAMPLES);
+        const stride = count / samples;
+        const counts = new Array(NUM_EMOTIONS);
+        
+        let best = null;
+        let bestEntropy = -1;
+        for (let j = 0; j < CONFIG.ADVISOR_OFFERS; j++) {
+            const x = this.candX[Math.floor(random() * this.candX.length)];
+            const selfDot = dot(wSelf, x);
+            
+            counts.fill(0);
+            for (let i = 0; i < samples; i++) {
+                const cell = this._alive[Math.floor(i * stride)];
+                const wi = cell % Nw;
+                let otherDot = 0;
+                for (let k = 0; k < n; k++) otherDot += wFlat[wi * n + k] * (this.Q[k] - x[k]);
+                counts[emotionIndex(model.cellEmotion((cell - wi) / Nw, wi, selfDot, otherDot, tolerance))]++;
+            }
+            const entropy = entropyBits(counts.map(c => c / samples));
+            if (entropy > bestEntropy) {
+                best = x;
+                bestEntropy = entropy;
+            }
+        }
+        return best;
+    }
+    
+    /** w ごとの相手効用 w・(Q - x) を作業用バッファに計算 */
+    _fillOtherDot(x) {
+        const { Nw, wFlat, numIssues: n } = this.paramSpace;
+        for (let wi = 0; wi < Nw; wi++) {
+            let sum = 0;
+            for (let k = 0; k < n; k++) sum += wFlat[wi * n + k] * (this.Q[k] - x[k]);
+            this._otherDot[wi] = sum;
+        }
+    }
+    
+    /** 現在の W_SELF と異なる、0 ベクトルでない無作為な候補（ADVISOR_CANDIDATES 件、重複なし） */
+    _randomCandidates(wSelf, random) {
+        const values = range(CONFIG.W_GRID_MIN, CONFIG.W_GRID_MAX, CONFIG.W_GRID_STEP);
+        const seen = new Set([wSelf.join()]);
+        const candidates = [];
+        
+        const maxCandidates = Math.pow(values.length, this.Q.length) - 2;
+        while (candidates.length < Math.min(CONFIG.ADVISOR_CANDIDATES, maxCandidates)) {
+            const candidate = this.Q.map(() => values[Math.floor(random() * values.length)]);
+            if (candidate.every(v => v === 0) || seen.has(candidate.join())) continue;
+            seen.add(candidate.join());
+            candidates.push(candidate);
+        }
+        return candidates;
+    }
 }
 
+// =============================================================================
+// 模擬プレイヤー（オファーの戦略）
+// =============================================================================
+// 
+// 各戦略の nextOffer(game, random) はゲームの状態（ラウンド数・履歴・事後分布）だけから
+// 次のオファーを決める。適用は game.applyOffer で行う（NegotiationGame.strategyOffer を参照）
+
+const PLAYER_STRATEGIES = {
+    // candX から無作為に選ぶ
+    random: {
+        label: '無作為',
+        nextOffer: (game, random) => game.candX[Math.floor(random() * game.candX.length)]
+    },
+    
+    // 全て相手に渡すオファーから始め、論点を1つずつ自分の取り分 1〜Q_k まで増やしていく（一巡したら繰り返す）
+    sweeper: {
+        label: '1論点ずつ',
+        nextOffer: game => {
+            let step = game.round % (1 + game.Q.reduce((a, b) => a + b, 0));
+            const offer = game.Q.map(() => 0);
+            for (let k = 0; k < game.Q.length && step > 0; k++) {
+                if (step <= game.Q[k]) {
+                    offer[k] = step;
+                    break;
+                }
+                step -= game.Q[k];
+            }
+            return offer;
+        }
+    },
+    
+    // 期待情報利得が最大のオファー（「次のオファーを提案」の先頭）
+    info_gain: {
+        label: '情報利得最大',
+        nextOffer: game => game.recommendOffers(1).offers[0].offer
+    },
+    
+    // まだ出していないオファーのうち、自分の効用 W_SELF・x が最大のもの（少しずつ譲歩していく）
+    self_utility: {
+        label: '自分の効用最大',
+        nextOffer: game => {
+            const offered = new Set(game.history.map(entry => entry.offer.join()));
+            const ranked = [...game.candX].sort((a, b) => dot(game.wSelf, b) - dot(game.wSelf, a));
+            return ranked.find(offer => !offered.has(offer.join())) ?? ranked[0];
+        }
+    }
+};
+
 // =============================================================================
 // グローバルエクスポート
 // =============================================================================
 
-window.NegotiationGame = NegotiationGame;
-window.CONFIG = CONFIG;
+if (typeof window !== 'undefined') {
+    window.NegotiationGame = NegotiationGame;
+    window.CONFIG = CONFIG;
+}
@@ -0,0 +1,127 @@
+/**
+ * 推論エンジンのクライアント（UI スレッド側）
+ *
+ * engine_worker.js を Web Worker として起動し、要求を Promise で返す。
+ * Worker を起動できない環境では同じハンドラをメインスレッドで実行する
+ * （その場合、処理中は UI が固まるが結果は同じ）。
+ */
+
+class EngineClient {
+    /**
+     * @param {string} workerUrl - engine_worker.js の URL
+     * @param {function(number)} [onProgress] - 実行中の要求の進捗（0〜1）
+     * @param {function()} [onRestart] - 動作中の Worker が停止して起動し直した後に呼ばれる
+     *                                   （ゲームの状態は失われるので、init からやり直す）
+     */
+    constructor(workerUrl, onProgress = null, onRestart = null) {
+        this.workerUrl = workerUrl;
+        this.onProgress = onProgress;
+        this.onRestart = onRestart;
+        this.nextId = 1;
+        this.pending = new Map();  // id → { message, resolve, reject }
+        this.worker = null;
+        this.localState = null;
+        this.ready = false;        // Worker から最初の結果が届いたか
+
+        this._startWorker();
+    }
+
+    _startWorker() {
+        this.ready = false;
+        try {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = event => this._receive(event.data);
+            this.worker.onerror = event => this._handleWorkerError(event);
+        } catch (err) {
+            console.warn('Web Worker を起動できないため、メインスレッドで推論します:', err.message);
+            this._useLocal();
+        }
+    }
+
+    /** Worker を使っているか */
+    get usesWorker() {
+        return this.worker !== null;
+    }
+
+    /**
+     * 要求を送信
+     *
+     * @param {string} type - 要求の種類（engine_worker.js を参照）
+     * @param {Object} [payload] - 追加のパラメータ
+     * @returns {Promise<*>} ハンドラの戻り値
+     */
+    request(type, payload = {}) {
+        const message = { id: this.nextId++, type, ...payload };
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(message.id, { message, resolve, reject });
+            this._send(message);
+        });
+    }
+
+    _send(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        } else {
+            // 非同期に実行して Worker と同じ呼び出し順序を保つ
+            setTimeout(() => handleEngineMessage(this.localState, message, msg => this._receive(msg)), 0);
+        }
+    }
+
+    _receive(msg) {
+        const entry = this.pending.get(msg.id);
+        if (!entry) return;
+
+        if (msg.type === 'progress') {
+            if (this.onProgress) this.onProgress(msg.progress);
+            return;
+        }
+
+        this.pending.delete(msg.id);
+        if (msg.type === 'result') {
+            this.ready = true;
+            entry.resolve(msg.result);
+        } else {
+            entry.reject(new Error(msg.message));
+        }
+    }
+
+    /**
+     * Worker の読み込みに失敗した場合はメインスレッドに切り替えて未処理の要求を再送。
+     * 動作中に停止した場合は、未処理の要求をすべて失敗させて Worker を起動し直す
+     */
+    _handleWorkerError(event) {
+        event.preventDefault();
+        if (this.ready) {
+            console.error('推論エンジン Worker でエラーが発生したため、起動し直します:', event.message);
+            this._restart(event.message);
+            return;
+        }
+        console.warn('Web Worker を読み込めないため、メインスレッドで推論します:', event.message);
+
+        this.worker.terminate();
+        this._useLocal();
+        for (const { message } of this.pending.values()) {
+            this._send(message);
+        }
+    }
+
+    _restart(reason) {
+        this.worker.terminate();
+
+        const error = new Error(`Engine worker stopped: ${reason}`);
+        const entries = [...this.pending.values()];
+        this.pending.clear();
+        for (const { reject } of entries) {
+            reject(error);
+        }
+
+        this._startWorker();
+        if (this.onRestart) this.onRestart();
+    }
+
+    _useLocal() {
+        this.worker = null;
+        this.localState = {};
+    }
+}
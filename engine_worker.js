@@ -0,0 +1,192 @@
+/**
+ * 推論エンジン Web Worker
+ *
+ * NegotiationGame（ベイズ更新を含む重い処理）を UI スレッドの外で実行する。
+ * Worker が使えない環境（file:// で開いた場合など）では、
+ * engine_client.js が同じ handleEngineMessage をメインスレッドで呼び出す。
+ *
+ * メッセージプロトコル:
+ * - 要求:   { id, type, ...payload }
+ * - 応答:   { id, type: 'result', result } / { id, type: 'error', message }
+ * - 進捗:   { id, type: 'progress', progress }（0〜1、ベイズ更新・ゲームの読み込み・オファー推薦・識別可能性の分析・W_SELF の診断中のみ）
+ *
+ * 要求の種類:
+ * - init        { scripts, wSelf, seed? }: config.js / bayesian_engine.js を読み込みゲームを生成
+ * - reset       { wSelf? }: 新しいエージェントでやり直す（wSelf 指定時は W_SELF も更新）
+ * - setSeed     { seed }: 乱数のシードを変え、そのシードの最初のエージェントでやり直す（null なら無作為）
+ * - applyOffer  { offer }: オファーを適用してベイズ更新
+ * - getMarginals: 現在の周辺分布と事後平均
+ * - setLikelihood { model, noise, inferNoise }: 尤度モデルと ε の推定の有無を変更し、
+ *                   これまでの観測で事後分布を計算し直す
+ * - setInferTolerance { enabled }: 許容幅を推定するかを変更し、これまでの観測で事後分布を計算し直す
+ * - setKnownParams { params }: 既知とする次元（'theta', 'w1', ...）を変更し、同じエージェントで最初からやり直す
+ * - predictEmotions { offer }: 事後予測分布 P(e | offer, これまでの観測)（REALTIME_PREVIEW 用、更新しない）
+ * - recommendOffers { k }: 期待情報利得の大きいオファー k 件
+ * - strategyOffer { strategy }: 模擬プレイヤーの戦略（PLAYER_STRATEGIES のキー）が次に出すオファー（適用はしない）
+ * - getPairMarginal { a, b }: 2つの次元（'theta', 'w1', ...）の同時周辺分布（ヒートマップ用）
+ * - getConditionalSummary { dim, valueIndex }: 1つの次元の値で条件付けた周辺分布
+ * - predictHypothesis { ti, wi, offer }: 上位の仮説 (θ_ti, w_wi) が offer に対して予測する感情
+ * - getHistory: ラウンドごとの履歴（推定値・エントロピー・最高密度区間・正解の事後確率）
+ * - getIdentifiability: 現在の W_SELF で区別できない仮説の同値類の統計（初回は全オファーで分析）
+ * - getTrueClass: 正解と区別できない仮説の類（正解表示用）
+ * - adviseWSelf { wSelf }: W_SELF の推定しやすさを模擬ゲームで見積もり、より推定しやすい W_SELF を提案
+ * - exportSession { hideAgent }: ゲームを保存用の JSON に書き出す（hideAgent ならエージェントのパターンを伏せる）
+ * - importSession { session }: 保存したゲームを読み込み、履歴から事後分布を計算し直す
+ * - getTrueParams: 正解のパラメータ
+ */
+
+// 進捗を通知する間隔（これより細かい変化は送らない）
+const PROGRESS_STEP = 0.05;
+
+/** ゲーム状態の概要（ラウンド数・乱数のシードと事後分布） */
+function summarizeGame(game) {
+    return {
+        round: game.round,
+        ...game.getSeed(),
+        ...game.getPosteriorSummary()
+    };
+}
+
+const ENGINE_HANDLERS = {
+    init(state, { scripts, wSelf, seed }) {
+        // Worker 内ではここで初めてエンジンを読み込む（メインスレッドでは読み込み済み）
+        if (scripts && typeof NegotiationGame === 'undefined') {
+            importScripts(...scripts);
+        }
+        if (wSelf) {
+            CONFIG.setWSelf(wSelf);
+        }
+        state.game = new NegotiationGame(wSelf ? [...wSelf] : null, seed ?? CONFIG.SEED);
+        return summarizeGame(state.game);
+    },
+
+    reset(state, { wSelf }) {
+        if (wSelf) {
+            state.game.updateWSelf(wSelf);
+        } else {
+            state.game.reset();
+        }
+        return summarizeGame(state.game);
+    },
+
+    setSeed(state, { seed }) {
+        state.game.setSeed(seed);
+        state.game.reset();
+        return summarizeGame(state.game);
+    },
+
+    applyOffer(state, { offer }, onProgress) {
+        return state.game.applyOffer(offer, (done, total) => onProgress(done / total));
+    },
+
+    getMarginals(state) {
+        return summarizeGame(state.game);
+    },
+
+    setLikelihood(state, { model, noise, inferNoise }) {
+        state.game.updateLikelihood(model, noise, inferNoise);
+        return summarizeGame(state.game);
+    },
+
+    setInferTolerance(state, { enabled }) {
+        state.game.updateInferTolerance(enabled);
+        return summarizeGame(state.game);
+    },
+
+    setKnownParams(state, { params }) {
+        CONFIG.setKnownParams(params);
+        state.game.setKnownParams(params);
+        return summarizeGame(state.game);
+    },
+
+    predictEmotions(state, { offer }) {
+        return state.game.predictEmotions(offer);
+    },
+
+    recommendOffers(state, { k }, onProgress) {
+        return state.game.recommendOffers(k, (done, total) => onProgress(done / total));
+    },
+
+    strategyOffer(state, { strategy }) {
+        return state.game.strategyOffer(strategy);
+    },
+
+    getPairMarginal(state, { a, b }) {
+        return state.game.getPairMarginal(a, b);
+    },
+
+    getConditionalSummary(state, { dim, valueIndex }) {
+        return state.game.getConditionalSummary(dim, valueIndex);
+    },
+
+    predictHypothesis(state, { ti, wi, offer }) {
+        return state.game.predictHypothesis(ti, wi, offer);
+    },
+
+    getHistory(state) {
+        return state.game.getHistory();
+    },
+
+    getIdentifiability(state, message, onProgress) {
+        return state.game.getIdentifiability((done, total) => onProgress(done / total));
+    },
+
+    getTrueClass(state, message, onProgress) {
+        return state.game.getTrueClass((done, total) => onProgress(done / total));
+    },
+
+    adviseWSelf(state, { wSelf }, onProgress) {
+        return state.game.adviseWSelf(wSelf, (done, total) => onProgress(done / total));
+    },
+
+    exportSession(state, { hideAgent }) {
+        return state.game.exportSession(hideAgent);
+    },
+
+    importSession(state, { session }, onProgress) {
+        state.game.importSession(session, (done, total) => onProgress(done / total));
+        return summarizeGame(state.game);
+    },
+
+    getTrueParams(state) {
+        return state.game.getTrueParams();
+    }
+};
+
+/**
+ * 要求を1件処理する
+ *
+ * @param {Object} state - ゲーム状態（init で state.game が設定される）
+ * @param {Object} message - 要求 { id, type, ...payload }
+ * @param {function(Object)} post - 応答・進捗メッセージの送信先
+ */
+function handleEngineMessage(state, message, post) {
+    const { id, type } = message;
+    const handler = ENGINE_HANDLERS[type];
+
+    let lastReported = 0;
+    const onProgress = progress => {
+        if (progress - lastReported >= PROGRESS_STEP || progress >= 1) {
+            lastReported = progress;
+            post({ id, type: 'progress', progress });
+        }
+    };
+
+    try {
+        if (!handler) {
+            throw new Error(`Unknown engine request: ${type}`);
+        }
+        if (type !== 'init' && !state.game) {
+            throw new Error('Engine is not initialized');
+        }
+        post({ id, type: 'result', result: handler(state, message, onProgress) });
+    } catch (err) {
+        post({ id, type: 'error', message: err.message });
+    }
+}
+
+// Worker として起動された場合のみメッセージを受け付ける
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const workerState = {};
+    self.onmessage = event => handleEngineMessage(workerState, event.data, msg => self.postMessage(msg));
+}
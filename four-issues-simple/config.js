@@ -0,0 +1,120 @@
+/**
+ * 4論点簡易版の設定
+ * 
+ * 共通エンジン（../bayesian_engine.js）より先に読み込み、
+ * 論点数・プレイヤーの重み・エージェントのパターンを定義する
+ */
+
+// =============================================================================
+// 設定（共通設定 CONFIG を上書き）
+// =============================================================================
+
+const VARIANT_CONFIG = {
+    // 論点の総量 Q = [Q1, Q2, Q3, Q4]
+    Q: [7, 5, 5, 5],
+    
+    // プレイヤーの重み（UI から動的に変更可能）
+    W_SELF: [2, -1, 0, 1],
+    
+    // 感情モデル（EMOTION_MODELS のキー）: UMAX からの差で感情を決める
+    EMOTION_MODEL: 'umax',
+    
+    // パラメータグリッド設定
+    W_GRID_MIN: -2,
+    W_GRID_MAX: 2,
+    W_GRID_STEP: 1,      // w ∈ {-2, -1, 0, 1, 2}^4 → 5^4 = 625 通り
+    
+    // アイテム絵文字
+    ITEM_ICONS: ['🍎', '🍋', '🍓', '🥝']
+};
+
+// =============================================================================
+// エージェントのパラメータパターン
+// { name, theta, w } に加えて、任意で noise（感情ノイズ）と tolerance（許容幅） を指定できる
+// =============================================================================
+
+// 難しいパターン（推定が困難）
+const HARD_PATTERNS = [
+    { name: "extreme_neg_1st × 0°", theta: 0, w: [-2, 0, 0, 0] },
+    { name: "balanced_neg × 0°", theta: 0, w: [-1, -1, -1, -1] },
+    { name: "skewed_3rd × -15°", theta: -15, w: [-1, -1, 2, -1] },
+    { name: "triple_124 × 0°", theta: 0, w: [2, 2, -2, 2] },
+    { name: "extreme_neg_1st × -45°", theta: -45, w: [-2, 0, 0, 0] },
+    { name: "balanced_pos × 0°", theta: 0, w: [1, 1, 1, 1] },
+    { name: "diagonal_1 × 45°", theta: 45, w: [2, -1, -1, 2] },
+    { name: "diagonal_2 × 45°", theta: 45, w: [-1, 2, 2, -1] }
+];
+
+// 簡単なパターン（推定が容易）
+const EASY_PATTERNS = [
+    { name: "uniform × 90°", theta: 90, w: [1, 1, 1, 1] },
+    { name: "skewed_1st × 90°", theta: 90, w: [2, -1, -1, -1] },
+    { name: "ascending × 90°", theta: 90, w: [-2, -1, 1, 2] },
+    { name: "uniform × 75°", theta: 75, w: [1, 1, 1, 1] },
+    { name: "ascending × 75°", theta: 75, w: [-2, -1, 1, 2] },
+    { name: "skewed_1st × -45°", theta: -45, w: [2, -1, -1, -1] },
+    { name: "skewed_1st × -30°", theta: -30, w: [2, -1, -1, -1] },
+    { name: "uniform × -15°", theta: -15, w: [1, 1, 1, 1] }
+];
+
+const VARIUS_TEST_PATTERN = [
+    // === θ = 90° (完全利他的: 相手の効用のみ考慮) ===
+    { name: "uniform × 90°", theta: 90, w: [1, 1, 1, 1] },
+    { name: "ascending × 90°", theta: 90, w: [-1, 0, 1, 2] },
+    { name: "descending × 90°", theta: 90, w: [2, 1, 0, -1] },
+    { name: "focus_1st × 90°", theta: 90, w: [2, 1, 0, -1] },
+    { name: "focus_4th × 90°", theta: 90, w: [-1, 0, 1, 2] },
+    { name: "contrast × 90°", theta: 90, w: [2, -1, 2, -1] },
+    { name: "mild_pos × 90°", theta: 90, w: [2, 1, 1, 0] },
+    { name: "mild_neg × 90°", theta: 90, w: [0, -1, 1, 2] },
+    { name: "balanced × 90°", theta: 90, w: [1, 2, -1, 1] },
+    { name: "spread × 90°", theta: 90, w: [2, -2, 1, 0] },
+    
+    // === θ = 45° (バランス型: 自分と相手を同等に考慮) ===
+    { name: "uniform × 45°", theta: 45, w: [1, 1, 1, 1] },
+    { name: "ascending × 45°", theta: 45, w: [-1, 0, 1, 2] },
+    { name: "descending × 45°", theta: 45, w: [2, 1, 0, -1] },
+    { name: "focus_2nd × 45°", theta: 45, w: [0, 2, 1, -1] },
+    { name: "focus_3rd × 45°", theta: 45, w: [-1, 1, 2, 0] },
+    { name: "contrast × 45°", theta: 45, w: [-1, 2, -1, 2] },
+    { name: "mild_pos × 45°", theta: 45, w: [1, 2, 1, 0] },
+    { name: "mild_neg × 45°", theta: 45, w: [0, 1, -1, 2] },
+    { name: "diagonal × 45°", theta: 45, w: [2, 0, 1, 2] },
+    { name: "mixed × 45°", theta: 45, w: [1, -2, 2, 1] },
+    
+    // === θ = 0° (中立: 自分の効用のみ考慮) ===
+    { name: "uniform × 0°", theta: 0, w: [1, 1, 1, 1] },
+    { name: "ascending × 0°", theta: 0, w: [-1, 0, 1, 2] },
+    { name: "descending × 0°", theta: 0, w: [2, 1, 0, -1] },
+    { name: "focus_1st × 0°", theta: 0, w: [2, 0, -1, 1] },
+    { name: "focus_2nd × 0°", theta: 0, w: [1, 2, 0, -1] },
+    { name: "contrast × 0°", theta: 0, w: [2, -2, 1, -1] },
+    { name: "mild_pos × 0°", theta: 0, w: [2, 2, 0, 1] },
+    { name: "mild_neg × 0°", theta: 0, w: [-1, 1, 2, 0] },
+    { name: "spread × 0°", theta: 0, w: [1, -1, 2, 1] },
+    { name: "asymmetric × 0°", theta: 0, w: [0, 2, -1, 2] },
+    
+    // === θ = -45° (競争的: 相手の損失を重視) ===
+    { name: "uniform × -45°", theta: -45, w: [1, 1, 1, 1] },
+    { name: "ascending × -45°", theta: -45, w: [-1, 0, 1, 2] },
+    { name: "descending × -45°", theta: -45, w: [2, 1, 0, -1] },
+    { name: "focus_3rd × -45°", theta: -45, w: [0, -1, 2, 1] },
+    { name: "focus_4th × -45°", theta: -45, w: [1, 0, -1, 2] },
+    { name: "contrast × -45°", theta: -45, w: [-1, 1, 2, -2] },
+    { name: "mild_pos × -45°", theta: -45, w: [1, 0, 2, 1] },
+    { name: "mild_neg × -45°", theta: -45, w: [0, 2, 1, -1] },
+    { name: "spread × -45°", theta: -45, w: [2, -1, 0, 2] },
+    { name: "asymmetric × -45°", theta: -45, w: [-1, 2, 1, 0] }
+];
+
+// 許容幅（EMOTION_RANGE_MAX = 7）を変えたパターン
+// 「許容幅も推定する」にチェックすると、正解表示で推定した許容幅と比べられる
+const TOLERANCE_PATTERNS = [
+    { name: "uniform × 45° (r=3)", theta: 45, w: [1, 1, 1, 1], tolerance: 3 },
+    { name: "ascending × 0° (r=14)", theta: 0, w: [-1, 0, 1, 2], tolerance: 14 },
+    { name: "contrast × -45° (r=5)", theta: -45, w: [-1, 1, 2, -2], tolerance: 5 },
+    { name: "focus_1st × 90° (r=10)", theta: 90, w: [2, 1, 0, -1], tolerance: 10 }
+];
+
+// 使用するパターン一覧
+const ALL_PATTERNS = [...VARIUS_TEST_PATTERN, ...TOLERANCE_PATTERNS];
@@ -0,0 +1,148 @@
+/**
+ * 3論点版の設定
+ * 
+ * 共通エンジン（../bayesian_engine.js）より先に読み込み、
+ * 論点数・プレイヤーの重み・エージェントのパターンを定義する
+ */
+
+// =============================================================================
+// 設定（共通設定 CONFIG を上書き）
+// =============================================================================
+
+const VARIANT_CONFIG = {
+    // 論点の総量 Q = [Q1, Q2, Q3]
+    Q: [7, 5, 6],
+    
+    // プレイヤーの重み（UI から動的に変更可能）
+    // 好き = 4, なんでもない = 0, 嫌い = -4
+    W_SELF: [4, 0, -4],
+    
+    // 感情モデル: u_self + cos(θ)·u_other をスケーリングして離散化
+    EMOTION_MODEL: 'scaled_floor',
+    
+    // アイテム絵文字（3論点）
+    ITEM_ICONS: ['🍎', '🍋', '🍇']
+};
+
+// =============================================================================
+// エージェントのパラメータパターン（3論点版）
+// { name, theta, w } に加えて、任意で noise（感情ノイズ） を指定できる
+// =============================================================================
+
+/**
+ * 自分の好み（デフォルト）: w_self = [4, 0, -4]
+ *   - 論点1: 好き (4)
+ *   - 論点2: なんでもない (0)
+ *   - 論点3: 嫌い (-4)
+ * 
+ * 相手の好みパターン:
+ * 9通りの組み合わせを網羅するパターンを用意
+ * 
+ * 組み合わせ:
+ *   1. 自分好き × 相手好き
+ *   2. 自分好き × 相手嫌い
+ *   3. 自分好き × 相手どちらでもない
+ *   4. 自分どちらでもない × 相手好き
+ *   5. 自分どちらでもない × 相手嫌い
+ *   6. 自分どちらでもない × 相手どちらでもない
+ *   7. 自分嫌い × 相手好き
+ *   8. 自分嫌い × 相手嫌い
+ *   9. 自分嫌い × 相手どちらでもない
+ */
+
+const THREE_ISSUES_PATTERNS = [
+    // パターン1: 全組み合わせ網羅（基本パターン）
+    // 論点1(自好き×相好き=4), 論点2(自中立×相嫌=-4), 論点3(自嫌×相中立=0)
+    // → 残り: 自好×相嫌, 自好×相中, 自中×相好, 自中×相中, 自嫌×相好, 自嫌×相嫌
+    {
+        name: "基本パターン1 × 0°",
+        theta: 0,
+        w: [4, -4, 0],  // [相手の論点1重み, 論点2重み, 論点3重み]
+        // 論点1: 自分好き(4)×相手好き(4)
+        // 論点2: 自分中立(0)×相手嫌い(-4)
+        // 論点3: 自分嫌い(-4)×相手中立(0)
+        description: "自好×相好, 自中×相嫌, 自嫌×相中"
+    },
+    
+    // パターン2: 別の組み合わせ
+    // 論点1(自好き×相嫌=-4), 論点2(自中立×相好=4), 論点3(自嫌×相嫌=-4)
+    {
+        name: "基本パターン2 × 45°",
+        theta: 45,
+        w: [-4, 4, -4],
+        // 論点1: 自分好き(4)×相手嫌い(-4)
+        // 論点2: 自分中立(0)×相手好き(4)
+        // 論点3: 自分嫌い(-4)×相手嫌い(-4)
+        description: "自好×相嫌, 自中×相好, 自嫌×相嫌"
+    },
+    
+    // パターン3: さらに別の組み合わせ
+    // 論点1(自好き×相中=0), 論点2(自中立×相中=0), 論点3(自嫌×相好=4)
+    {
+        name: "基本パターン3 × -45°",
+        theta: -45,
+        w: [0, 0, 4],
+        // 論点1: 自分好き(4)×相手中立(0)
+        // 論点2: 自分中立(0)×相手中立(0)
+        // 論点3: 自分嫌い(-4)×相手好き(4)
+        description: "自好×相中, 自中×相中, 自嫌×相好"
+    },
+    
+    // パターン4: 協調的（θ=90°）
+    // 論点1(自好き×相好=4), 論点2(自中立×相好=4), 論点3(自嫌×相好=4)
+    {
+        name: "全部好き × 90°",
+        theta: 90,
+        w: [4, 4, 4],
+        description: "相手は全論点好き（協調的エージェント）"
+    },
+    
+    // パターン5: 競合的（θ=-45°）
+    // 論点1(自好き×相嫌=-4), 論点2(自中立×相嫌=-4), 論点3(自嫌×相嫌=-4)
+    {
+        name: "全部嫌い × -45°",
+        theta: -45,
+        w: [-4, -4, -4],
+        description: "相手は全論点嫌い（競合的エージェント）"
+    },
+    
+    // パターン6: ミックス
+    // 論点1(自好き×相嫌=-4), 論点2(自中立×相中=0), 論点3(自嫌×相好=4)
+    {
+        name: "逆相関パターン × 0°",
+        theta: 0,
+        w: [-4, 0, 4],
+        description: "自分と相手の好みが逆（トレードオフあり）"
+    },
+    
+    // パターン7: 同じ好み
+    // 論点1(自好き×相好=4), 論点2(自中立×相中=0), 論点3(自嫌×相嫌=-4)
+    {
+        name: "同好みパターン × 45°",
+        theta: 45,
+        w: [4, 0, -4],
+        description: "自分と相手の好みが同じ（Win-Win可能）"
+    },
+    
+    // パターン8: 部分一致
+    {
+        name: "部分一致パターン × 0°",
+        theta: 0,
+        w: [4, -4, 4],
+        // 論点1: 自分好き(4)×相手好き(4) → 一致
+        // 論点2: 自分中立(0)×相手嫌い(-4) → 部分不一致
+        // 論点3: 自分嫌い(-4)×相手好き(4) → 不一致
+        description: "自好×相好, 自中×相嫌, 自嫌×相好"
+    },
+    
+    // パターン9: 全中立エージェント
+    {
+        name: "全中立 × 0°",
+        theta: 0,
+        w: [0, 0, 0],
+        description: "相手は全論点中立"
+    }
+];
+
+// 使用するパターン一覧
+const ALL_PATTERNS = [...THREE_ISSUES_PATTERNS];
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * 推論エンジンの数値の検査（素朴な計算との突き合わせ）
+ *
+ * 1つのバージョンについて次を確かめ、失敗があれば終了コード 1 で終わる:
+ * - umax:       解析的な UMAX（UmaxEmotionModel）が全オファーを列挙した最大効用と一致する
+ * - likelihood: 対数尤度表の各行が正規化され、logits を直接正規化した確率と一致する
+ * - posterior:  match モデル（許容幅・ε は推定しない）の事後分布が、全 (θ, w) に尤度を掛けて正規化する素朴な計算と一致する
+ * - eig:        期待情報利得が、観測ごとの事後エントロピーから求めたエントロピーの期待減少量と一致する
+ * - hdi:        最高密度区間が、全区間を調べた最短の区間と一致する
+ * - seed:       mulberry32 の系列が固定値どおりで、同じシードのゲームが同じエージェントと感情を再現する
+ *
+ * 使い方:
+ *   node tools/check_engine.js [バージョンのディレクトリ] [--cells 2000] [--rounds 6]
+ *   （1プロセスで読み込めるバージョンは1つだけなので、バージョンごとに実行する）
+ */
+
+const { loadEngine, parseArgs } = require('./load_engine');
+
+const { options, positional } = parseArgs(process.argv.slice(2), {
+    cells: 2000,   // UMAX を列挙と比べる (θ, w) の数（グリッドがこれ以下なら全て）
+    rounds: 6      // 事後分布・期待情報利得の検査で出すオファーの数
+});
+const {
+    CONFIG, NegotiationGame, LIKELIHOOD_MODELS, ALL_PATTERNS,
+    buildLogLikelihoodTable, highestDensityInterval, createRandom, deriveSeed, radToDeg
+} = loadEngine(positional[0]);
+
+const TOLERANCE = 1e-9;
+let failures = 0;
+
+/** 検査を1つ実行して結果を表示（check は失敗の説明を返す。null なら成功、{ skip } なら対象外） */
+function run(name, check) {
+    const start = Date.now();
+    const problem = check();
+    const time = `${Date.now() - start} ms`;
+    if (problem && problem.skip) {
+        console.log(`- ${name}: ${problem.skip}`);
+    } else if (problem) {
+        failures++;
+        console.log(`✗ ${name}: ${problem} (${time})`);
+    } else {
+        console.log(`✓ ${name} (${time})`);
+    }
+}
+
+/** 既定の設定（match モデル、ε・許容幅は推定しない）でゲームを作る */
+function createGame(seed) {
+    CONFIG.setLikelihood('match', 1.0, false);
+    CONFIG.INFER_TOLERANCE = false;
+    CONFIG.setKnownParams([]);
+    return new NegotiationGame(null, seed);
+}
+
+/** シードから決まるオファーの列 */
+function offerSequence(game, count, seed) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => game.candX[Math.floor(random() * game.candX.length)]);
+}
+
+/** 確率の列のエントロピー（ビット） */
+function entropyOf(probs) {
+    let h = 0;
+    for (const p of probs) {
+        if (p > 0) h -= p * Math.log2(p);
+    }
+    return h;
+}
+
+// =============================================================================
+// 解析的な UMAX
+// =============================================================================
+
+run('umax', () => {
+    const game = createGame(1);
+    const model = game.engine.emotionModel;
+    if (!model.UMAX) return { skip: `${CONFIG.EMOTION_MODEL} モデルは UMAX を使わない` };
+
+    const { Nt, Nw } = game.paramSpace;
+    const random = createRandom(2);
+    const numCells = Nt * Nw;
+    const cells = numCells <= options.cells
+        ? Array.from({ length: numCells }, (_, i) => i)
+        : Array.from({ length: options.cells }, () => Math.floor(random() * numCells));
+
+    for (const cell of cells) {
+        const ti = Math.floor(cell / Nw);
+        const wi = cell % Nw;
+        const theta = game.thetaGrid[ti];
+        const w = game.wGrid[wi];
+
+        let bruteForce = -Infinity;
+        for (const x of game.candX) {
+            let utility = 0;
+            for (let k = 0; k < x.length; k++) {
+                utility += Math.cos(theta) * w[k] * (game.Q[k] - x[k]) + Math.sin(theta) * game.wSelf[k] * x[k];
+            }
+            bruteForce = Math.max(bruteForce, utility);
+        }
+        if (Math.abs(model.UMAX[cell] - bruteForce) > TOLERANCE) {
+            return `θ=${radToDeg(theta)}°, w=[${w}]: UMAX ${model.UMAX[cell]} ≠ ${bruteForce}`;
+        }
+    }
+    return null;
+});
+
+// =============================================================================
+// 対数尤度表
+// =============================================================================
+
+run('likelihood', () => {
+    const numEmotions = 9;
+    for (const [name, model] of Object.entries(LIKELIHOOD_MODELS)) {
+        for (const noise of [0.25, 1, 3]) {
+            const table = buildLogLikelihoodTable(name, noise);
+            for (let p = 0; p < numEmotions; p++) {
+                const weights = Array.from({ length: numEmotions }, (_, o) => Math.exp(model.logits(Math.abs(o - p), noise)));
+                const total = weights.reduce((a, b) => a + b, 0);
+                let sum = 0;
+                for (let o = 0; o < numEmotions; o++) {
+                    const prob = Math.exp(table[p * numEmotions + o]);
+                    sum += prob;
+                    if (Math.abs(prob - weights[o] / total) > TOLERANCE) {
+                        return `${name} (noise ${noise}): P(${o} | ${p}) = ${prob} ≠ ${weights[o] / total}`;
+                    }
+                }
+                if (Math.abs(sum - 1) > TOLERANCE) {
+                    return `${name} (noise ${noise}): row ${p} sums to ${sum}`;
+                }
+            }
+        }
+    }
+    return null;
+});
+
+// =============================================================================
+// match モデルの事後分布
+// =============================================================================
+
+run('posterior', () => {
+    const game = createGame(3);
+    const model = game.engine.emotionModel;
+    const { Nt, Nw } = game.paramSpace;
+    const offers = offerSequence(game, options.rounds, 4);
+    const emotions = offers.map(x => game.applyOffer(x).emotion);
+
+    // 元のエンジンと同じく、全 (θ, w) の予測感情に一致・不一致の尤度を掛けて正規化する
+    const naive = new Float64Array(Nt * Nw);
+    for (let ti = 0; ti < Nt; ti++) {
+        for (let wi = 0; wi < Nw; wi++) {
+            let p = 1 / (Nt * Nw);
+            offers.forEach((x, t) => {
+                const predicted = model.emotion(x, game.thetaGrid[ti], game.wGrid[wi], CONFIG.EMOTION_RANGE_MAX);
+                p *= predicted === emotions[t] ? CONFIG.LIKELIHOOD_MATCH : CONFIG.LIKELIHOOD_MISMATCH;
+            });
+            naive[ti * Nw + wi] = p;
+        }
+    }
+    const total = naive.reduce((a, b) => a + b, 0);
+
+    for (let ti = 0; ti < Nt; ti++) {
+        for (let wi = 0; wi < Nw; wi++) {
+            const expected = naive[ti * Nw + wi] / total;
+            const actual = game.paramSpace.getCellProbability(ti, wi);
+            // 不一致を含む仮説の確率は 1e-9 の累乗程度なので、相対誤差で比べる
+            if (Math.abs(actual - expected) > TOLERANCE * expected) {
+                return `θ=${radToDeg(game.thetaGrid[ti])}°, w=[${game.wGrid[wi]}]: ${actual} ≠ ${expected}`;
+            }
+        }
+    }
+    return null;
+});
+
+// =============================================================================
+// 期待情報利得
+// =============================================================================
+
+run('eig', () => {
+    // ε を推定する段階的な尤度で、ε の次元も含めて確かめる
+    CONFIG.setLikelihood('gaussian', 1.0, true);
+    CONFIG.INFER_TOLERANCE = false;
+    const game = new NegotiationGame(null, 5);
+    const { paramSpace, engine } = game;
+    const offers = offerSequence(game, options.rounds, 6);
+    for (const x of offers.slice(0, 2)) game.applyOffer(x);
+
+    const dist = paramSpace.distribution;
+    const all = {
+        indices: Int32Array.from({ length: paramSpace.size }, (_, i) => i),
+        weights: Float64Array.from(dist)
+    };
+
+    // P(o | 予測 p, ε) を logits から直接求めておく
+    const likelihood = paramSpace.noiseValues.map(noise => Array.from({ length: 9 }, (_, p) => {
+        const weights = Array.from({ length: 9 }, (_, o) => Math.exp(LIKELIHOOD_MODELS.gaussian.logits(Math.abs(o - p), noise)));
+        const total = weights.reduce((a, b) => a + b, 0);
+        return weights.map(w => w / total);
+    }));
+    const cellNoise = new Int32Array(paramSpace.size);
+    for (let i = 0; i < paramSpace.size; i++) cellNoise[i] = paramSpace.decodeIndex(i).ei;
+    const priorEntropy = entropyOf(dist);
+
+    for (const x of offers.slice(2)) {
+        // 観測ごとの事後分布のエントロピーの期待値を、全仮説を列挙して計算
+        const predicted = new Int8Array(paramSpace.size);
+        for (let i = 0; i < paramSpace.size; i++) {
+            const { ti, wi, ri } = paramSpace.decodeIndex(i);
+            predicted[i] = engine.predictEmotion(ti, wi, x, ri) + 1;
+        }
+        let expectedPosteriorEntropy = 0;
+        const joint = new Float64Array(paramSpace.size);
+        for (let o = 0; o < 9; o++) {
+            let evidence = 0;
+            for (let i = 0; i < paramSpace.size; i++) {
+                joint[i] = dist[i] * likelihood[cellNoise[i]][predicted[i]][o];
+                evidence += joint[i];
+            }
+            if (evidence === 0) continue;
+            let h = 0;
+            for (let i = 0; i < paramSpace.size; i++) {
+                const p = joint[i] / evidence;
+                if (p > 0) h -= p * Math.log2(p);
+            }
+            expectedPosteriorEntropy += evidence * h;
+        }
+        const bruteForce = priorEntropy - expectedPosteriorEntropy;
+        const gain = engine.expectedInformationGain(x, all);
+
+        if (Math.abs(gain - bruteForce) > 1e-6) {
+            return `offer [${x}]: EIG ${gain} ≠ ${bruteForce}`;
+        }
+    }
+    return null;
+});
+
+// =============================================================================
+// 最高密度区間
+// =============================================================================
+
+run('hdi', () => {
+    const fixed = [
+        [[0.1, 0.2, 0.4, 0.2, 0.1], 0.8, [1, 3]],
+        [[0.1, 0.2, 0.4, 0.2, 0.1], 0.4, [2, 2]],
+        [[0.1, 0.2, 0.4, 0.2, 0.1], 1, [0, 4]],
+        [[0.5, 0, 0, 0, 0.5], 0.9, [0, 4]]
+    ];
+    const values = [0, 1, 2, 3, 4];
+    for (const [probs, mass, expected] of fixed) {
+        const interval = highestDensityInterval(values, probs, mass);
+        if (interval[0] !== expected[0] || interval[1] !== expected[1]) {
+            return `[${probs}] at ${mass}: [${interval}] ≠ [${expected}]`;
+        }
+    }
+
+    // 無作為な分布で、全区間を調べた最短（同じ幅なら確率の大きい）区間と比べる
+    const random = createRandom(7);
+    for (let trial = 0; trial < 200; trial++) {
+        const n = 2 + Math.floor(random() * 12);
+        const xs = Array.from({ length: n }, (_, i) => i * 5 - 30);
+        const raw = xs.map(() => (random() < 0.2 ? 0 : random()));
+        const total = raw.reduce((a, b) => a + b, 0) || 1;
+        const probs = raw.map(p => p / total);
+        const mass = 0.5 + random() * 0.45;
+
+        let best = null;
+        for (let lo = 0; lo < n; lo++) {
+            let sum = 0;
+            for (let hi = lo; hi < n; hi++) {
+                sum += probs[hi];
+                if (sum < mass - 1e-12) continue;
+                const width = xs[hi] - xs[lo];
+                if (!best || width < best.width || (width === best.width && sum > best.sum)) {
+                    best = { interval: [xs[lo], xs[hi]], width, sum };
+                }
+                break;
+            }
+        }
+        const interval = highestDensityInterval(xs, probs, mass);
+        if (best && interval[1] - interval[0] !== best.width) {
+            return `[${probs.map(p => p.toFixed(3))}] at ${mass.toFixed(3)}: [${interval}] is not as short as [${best.interval}]`;
+        }
+    }
+    return null;
+});
+
+// =============================================================================
+// 乱数のシード
+// =============================================================================
+
+run('seed', () => {
+    // mulberry32 の既知の出力（実装を変えると同じシードのゲームが再現できなくなる）
+    const expected = [0.6011037519201636, 0.44829055899754167, 0.8524657934904099];
+    const random = createRandom(42);
+    const actual = expected.map(() => random());
+    if (actual.some((v, i) => v !== expected[i])) {
+        return `createRandom(42) = [${actual}] ≠ [${expected}]`;
+    }
+    const streams = [0, 1, 2, -1].map(stream => deriveSeed(42, stream));
+    if (new Set(streams).size !== streams.length) {
+        return `deriveSeed(42, ·) streams collide: [${streams}]`;
+    }
+
+    // 感情ノイズのあるパターンで、同じシードのゲームが同じエージェントと感情を返すか
+    const play = seed => {
+        const game = createGame(seed);
+        const trace = [];
+        for (let g = 0; g < 3; g++) {
+            if (g > 0) game.reset();
+            game.setAgent({ ...game.pattern, noise: 1 });
+            trace.push(game.patternName, ...offerSequence(game, options.rounds, 8).map(x => game.applyOffer(x).emotion));
+        }
+        return JSON.stringify(trace);
+    };
+    const first = play(42);
+    if (play(42) !== first || play('42') !== first) {
+        return 'the same seed produced different agents or emotions';
+    }
+    if (ALL_PATTERNS.length > 1 && play(43) === first) {
+        return 'seeds 42 and 43 produced the same games';
+    }
+    return null;
+});
+
+console.log(failures === 0 ? 'すべての検査に成功しました' : `${failures} 件の検査に失敗しました`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * 先読み計画と貪欲法（と人間のプレイ）の比較
+ *
+ * ALL_PATTERNS の各エージェントについて次の方法で rounds 回オファーし、
+ * 同時事後分布のエントロピーと真の (θ, w) の事後確率、その確率が CONFIG.CONVERGENCE_MASS（既定 90%）以上になった
+ * 最初のラウンドを比べる:
+ * - greedy:    毎回、期待情報利得が最大のオファーを出す（画面の推薦と同じ recommendOffers）
+ * - lookahead: depth 個のオファーの組を計画して順に出し、出し終えたら計画し直す
+ * - human:     --human に渡した記録（[{ patternName, offers }]）のオファーをそのまま出す
+ *
+ * 使い方:
+ *   node tools/compare_lookahead.js [バージョンのディレクトリ] [--rounds 8] [--depth 2] [--human plays.json] [--seed 42] [--out result.json]
+ *
+ * --seed を省略すると乱数のシードは無作為に決まる（結果の JSON に記録する）
+ */
+
+const fs = require('fs');
+const { loadEngine, parseArgs, play } = require('./load_engine');
+
+const { options, positional } = parseArgs(process.argv.slice(2), {
+    rounds: 8,
+    depth: 2,
+    human: '',
+    seed: '',
+    out: ''
+});
+const { CONFIG, NegotiationGame, ALL_PATTERNS } = loadEngine(positional[0]);
+
+const strategies = {
+    greedy: () => game => game.recommendOffers(1).offers.map(({ offer }) => offer),
+    lookahead: () => game => game.planOffers(options.depth).offers
+};
+
+if (options.human) {
+    const plays = JSON.parse(fs.readFileSync(options.human, 'utf8'));
+    strategies.human = pattern => {
+        const record = plays.find(p => p.patternName === pattern.name);
+        let given = false;
+        return () => {
+            if (given || !record) return [];
+            given = true;
+            return record.offers.map(offer => [...offer]);
+        };
+    };
+}
+
+const game = new NegotiationGame(null, options.seed === '' ? CONFIG.SEED : options.seed);
+const results = [];
+
+for (const pattern of ALL_PATTERNS) {
+    for (const [strategy, create] of Object.entries(strategies)) {
+        const trace = play(game, pattern, create(pattern), options.rounds);
+        const last = trace[trace.length - 1];
+        if (!last) continue;
+
+        const converged = trace.findIndex(t => t.trueProbability >= CONFIG.CONVERGENCE_MASS);
+        results.push({
+            pattern: pattern.name,
+            strategy,
+            rounds: trace.length,
+            finalEntropy: last.entropy,
+            finalTrueProbability: last.trueProbability,
+            finalThetaError: last.thetaError,
+            roundsToConverge: converged < 0 ? null : converged + 1,
+            trace
+        });
+        console.log([
+            pattern.name.padEnd(28),
+            strategy.padEnd(9),
+            `H=${last.entropy.toFixed(2).padStart(6)} bit`,
+            `P(true)=${last.trueProbability.toFixed(3)}`,
+            `|Δθ|=${last.thetaError.toFixed(1).padStart(5)}°`,
+            `収束: ${converged < 0 ? '-' : converged + 1}`
+        ].join('  '));
+    }
+}
+
+if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify({ options, seed: game.seed, convergenceMass: CONFIG.CONVERGENCE_MASS, results }, null, 2));
+}
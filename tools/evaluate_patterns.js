@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * エージェントのパターン全体での推定のしやすさの一括評価
+ *
+ * HARD_PATTERNS・EASY_PATTERNS・VARIUS_TEST_PATTERN の各エージェントに
+ * 選んだ方法で rounds 回オファーし、パターンごとの指標を JSON と CSV に書き出す
+ * （これらの一覧がないバージョンでは ALL_PATTERNS を使う）。
+ *
+ * 方法（--strategy）:
+ * - PLAYER_STRATEGIES の模擬プレイヤー（random, sweeper, info_gain, self_utility）
+ * - lookahead: depth 個のオファーの組を計画して順に出し、出し終えたら計画し直す
+ *
+ * 指標:
+ * - roundsToConverge: 真の (θ, w) の事後確率が CONFIG.CONVERGENCE_MASS（既定 90%）以上になった最初のラウンド
+ * - finalThetaError:  最後の θ の事後平均と正解の差（度）
+ * - finalWError:      最後の w の事後平均と正解のユークリッド距離
+ * - finalTrueProbability / finalEntropy: 最後の真の (θ, w) の事後確率と同時事後分布のエントロピー（ビット）
+ *
+ * 使い方:
+ *   node tools/evaluate_patterns.js [バージョンのディレクトリ] [--strategy info_gain] [--rounds 10] [--depth 2] [--seed 42] [--out evaluation]
+ *   → evaluation.json と evaluation.csv を書き出す（--seed を省略すると乱数のシードは無作為に決まり、JSON に記録する）
+ */
+
+const fs = require('fs');
+const { loadEngine, parseArgs, play } = require('./load_engine');
+
+const { options, positional } = parseArgs(process.argv.slice(2), {
+    strategy: 'info_gain',
+    rounds: 10,
+    depth: 2,
+    seed: '',
+    out: 'evaluation'
+});
+const {
+    CONFIG, NegotiationGame, PLAYER_STRATEGIES, ALL_PATTERNS, HARD_PATTERNS, EASY_PATTERNS, VARIUS_TEST_PATTERN
+} = loadEngine(positional[0]);
+
+// 次に出すオファーの列を返す（空なら終了）
+const strategies = {
+    lookahead: game => game.planOffers(options.depth).offers
+};
+for (const name of Object.keys(PLAYER_STRATEGIES)) {
+    strategies[name] = game => [game.strategyOffer(name)];
+}
+if (!(options.strategy in strategies)) {
+    throw new Error(`Unknown strategy: ${options.strategy} (${Object.keys(strategies).join(', ')})`);
+}
+
+// 評価するパターンの一覧と、CSV の set 列に出す名前
+const patternSets = [
+    ['hard', HARD_PATTERNS],
+    ['easy', EASY_PATTERNS],
+    ['various', VARIUS_TEST_PATTERN]
+].filter(([, patterns]) => patterns !== undefined);
+if (patternSets.length === 0) {
+    patternSets.push(['all', ALL_PATTERNS]);
+}
+
+const game = new NegotiationGame(null, options.seed === '' ? CONFIG.SEED : options.seed);
+const results = [];
+
+for (const [set, patterns] of patternSets) {
+    for (const pattern of patterns) {
+        const trace = play(game, pattern, strategies[options.strategy], options.rounds);
+        const last = trace[trace.length - 1];
+        if (!last) continue;
+
+        const converged = trace.findIndex(t => t.trueProbability >= CONFIG.CONVERGENCE_MASS);
+        results.push({
+            set,
+            pattern: pattern.name,
+            theta: pattern.theta,
+            w: pattern.w,
+            strategy: options.strategy,
+            rounds: trace.length,
+            roundsToConverge: converged < 0 ? null : converged + 1,
+            finalThetaError: last.thetaError,
+            finalWError: last.wError,
+            finalTrueProbability: last.trueProbability,
+            finalEntropy: last.entropy,
+            trace
+        });
+        console.log([
+            set.padEnd(7),
+            pattern.name.padEnd(28),
+            `収束: ${converged < 0 ? '-' : converged + 1}`.padEnd(7),
+            `|Δθ|=${last.thetaError.toFixed(1).padStart(5)}°`,
+            `|Δw|=${last.wError.toFixed(2).padStart(5)}`,
+            `P(true)=${last.trueProbability.toFixed(3)}`
+        ].join('  '));
+    }
+}
+
+/** CSV の1セル（カンマ・引用符を含む値は引用符で囲む） */
+function csvCell(value) {
+    const text = value === null ? '' : Array.isArray(value) ? value.join(' ') : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const columns = [
+    'set', 'pattern', 'theta', 'w', 'strategy', 'rounds', 'roundsToConverge',
+    'finalThetaError', 'finalWError', 'finalTrueProbability', 'finalEntropy'
+];
+const csv = [
+    columns.join(','),
+    ...results.map(result => columns.map(column => csvCell(result[column])).join(','))
+].join('\n');
+
+fs.writeFileSync(`${options.out}.json`, JSON.stringify({ options, seed: game.seed, convergenceMass: CONFIG.CONVERGENCE_MASS, results }, null, 2));
+fs.writeFileSync(`${options.out}.csv`, `${csv}\n`);
+console.log(`${options.out}.json, ${options.out}.csv に書き出しました（${results.length} パターン）`);
@@ -0,0 +1,106 @@
+/**
+ * 推論エンジンを Node で読み込む（ヘッドレス実行用）
+ *
+ * ブラウザと同じく config.js → bayesian_engine.js の順に読み込み、
+ * トップレベルの定義（CONFIG, NegotiationGame, ALL_PATTERNS など）を返す。
+ * スクリプトはこのプロセスのグローバルスコープで実行するため、
+ * 1プロセスで読み込めるバージョンは1つだけ。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// 読み込み後に取り出す定義（バージョンによっては存在しないものもある）
+const EXPORTS = [
+    'CONFIG', 'NegotiationGame', 'ParameterSpace', 'BayesianInferenceEngine',
+    'EMOTION_MODELS', 'LIKELIHOOD_MODELS', 'PLAYER_STRATEGIES', 'ALL_PATTERNS',
+    'HARD_PATTERNS', 'EASY_PATTERNS', 'VARIUS_TEST_PATTERN',
+    'degToRad', 'radToDeg', 'buildLogLikelihoodTable', 'highestDensityInterval', 'createRandom', 'deriveSeed'
+];
+
+let loadedDir = null;
+
+/**
+ * @param {string} [variantDir] - config.js のあるディレクトリ（既定はリポジトリ直下の4論点版）
+ * @returns {Object} EXPORTS の各定義（存在しないものは undefined）
+ */
+function loadEngine(variantDir = ROOT) {
+    const dir = path.resolve(variantDir);
+    if (loadedDir !== null && loadedDir !== dir) {
+        throw new Error(`Engine already loaded from ${loadedDir}`);
+    }
+    if (loadedDir === null) {
+        for (const file of [path.join(dir, 'config.js'), path.join(ROOT, 'bayesian_engine.js')]) {
+            vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+        }
+        loadedDir = dir;
+    }
+
+    const entries = EXPORTS.map(name => [name, vm.runInThisContext(`typeof ${name} !== 'undefined' ? ${name} : undefined`)]);
+    return Object.fromEntries(entries);
+}
+
+/**
+ * --name value 形式のコマンドライン引数を解析
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @param {Object} defaults - 既定値（数値の既定値を持つ引数は数値に変換）
+ * @returns {{options: Object, positional: string[]}}
+ */
+function parseArgs(argv, defaults) {
+    const options = { ...defaults };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const name = arg.slice(2);
+        if (!(name in defaults)) {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+        const value = argv[++i];
+        options[name] = typeof defaults[name] === 'number' ? Number(value) : value;
+    }
+    return { options, positional };
+}
+
+/**
+ * パターンのエージェントに対して1ゲーム行う（ヘッドレスの評価・比較で共通）
+ *
+ * @param {NegotiationGame} game - 使うゲーム（エージェントを pattern にしてやり直す）
+ * @param {{theta: number, w: number[]}} pattern - エージェントのパターン
+ * @param {function(NegotiationGame): number[][]} nextOffers - 次に出すオファーの列（空なら終了）
+ * @param {number} rounds - 最大ラウンド数
+ * @returns {{offer: number[], emotion: number, entropy: number, trueProbability: number, thetaError: number, wError: number}[]}
+ *          ラウンドごとの指標
+ */
+function play(game, pattern, nextOffers, rounds) {
+    game.setAgent(pattern);
+    const trace = [];
+    let queue = [];
+
+    while (game.round < rounds) {
+        if (queue.length === 0) queue = nextOffers(game);
+        if (queue.length === 0) break;
+
+        const offer = queue.shift();
+        const result = game.applyOffer(offer);
+        trace.push({
+            offer,
+            emotion: result.emotion,
+            entropy: game.paramSpace.getEntropy(),
+            trueProbability: game.getTrueCellProbability(),
+            thetaError: Math.abs(result.thetaMean - pattern.theta),
+            wError: Math.hypot(...result.wMean.map((v, k) => v - pattern.w[k]))
+        });
+    }
+    return trace;
+}
+
+module.exports = { loadEngine, parseArgs, play };